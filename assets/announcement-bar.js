@@ -10,9 +10,16 @@ import { Component } from '@theme/component';
  * @property {HTMLButtonElement} [previous]
  * @property {HTMLButtonElement} [next]
  *
- * @extends {Component<Refs>}
+ * @typedef {Object} Props
+ * @property {number} [autoplay] - The time interval in seconds between slides, when playing automatically.
+ *
+ * @extends {Component<Refs, Props>}
  */
 export class AnnouncementBar extends Component {
+  static props = {
+    autoplay: Number,
+  };
+
   #current = 0;
 
   /**
@@ -31,6 +38,16 @@ export class AnnouncementBar extends Component {
     this.play();
   }
 
+  /**
+   * @param {string} name
+   */
+  propChanged(name) {
+    if (name === 'autoplay' && !this.paused) {
+      this.suspend();
+      this.play();
+    }
+  }
+
   next() {
     this.current += 1;
   }
@@ -94,12 +111,9 @@ export class AnnouncementBar extends Component {
   }
 
   get autoplayInterval() {
-    const interval = this.getAttribute('autoplay');
-    const value = parseInt(`${interval}`, 10);
-
-    if (Number.isNaN(value)) return undefined;
+    const { autoplay } = this.props;
 
-    return value * 1000;
+    return autoplay ? autoplay * 1000 : undefined;
   }
 
   get current() {
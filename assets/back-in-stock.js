@@ -0,0 +1,163 @@
+import { Component } from '@theme/component';
+
+/**
+ * @typedef {Object} BackInStockRefs
+ * @property {HTMLFormElement} form - The contact form.
+ * @property {HTMLInputElement} email - The email input.
+ * @property {HTMLInputElement} variantId - The id of the variant sent with the request.
+ * @property {HTMLInputElement} variantTitle - The title of the variant sent with the request.
+ * @property {HTMLInputElement} sku - The SKU of the variant sent with the request.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} error - The error message.
+ * @property {HTMLElement} success - The confirmation shown once the customer asked to be notified.
+ */
+
+/**
+ * @typedef {Object} BackInStockVariant
+ * @property {string} id - The variant id.
+ * @property {boolean} available - Whether the variant is available.
+ * @property {string} [title] - The variant title.
+ * @property {string | null} [sku] - The variant SKU.
+ */
+
+/**
+ * The variants customers asked to be notified about, with the email they asked with.
+ */
+const SUBSCRIPTIONS_STORAGE_KEY = 'theme:back-in-stock';
+
+/**
+ * A custom element that lets customers ask to be emailed when a sold out variant is back in stock.
+ *
+ * The request is sent as a contact form message with the variant id and SKU, so it reaches the store's email. The
+ * requests are remembered in the browser, so customers coming back to the variant see they already asked.
+ *
+ * @extends {Component<BackInStockRefs>}
+ */
+export class BackInStockComponent extends Component {
+  requiredRefs = ['form', 'email', 'variantId', 'variantTitle', 'sku', 'submitButton', 'error', 'success'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render();
+  }
+
+  /**
+   * Shows the form for a sold out variant, and hides it otherwise.
+   * @param {BackInStockVariant | null} variant - The selected variant.
+   */
+  setVariant(variant) {
+    const { variantId, variantTitle, sku } = this.refs;
+
+    this.hidden = !variant || variant.available;
+    if (!variant) return;
+
+    variantId.value = String(variant.id);
+    variantTitle.value = variant.title ?? '';
+    sku.value = variant.sku ?? '';
+
+    this.#hideError();
+    this.#render();
+  }
+
+  /**
+   * Sends the request for the selected variant.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { form, email, variantId, submitButton } = this.refs;
+    const address = email.value.trim();
+
+    if (!address || !email.checkValidity()) {
+      this.#showError(this.dataset.invalidMessage);
+      email.focus();
+      return;
+    }
+
+    this.#hideError();
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+
+      // The spam protection may ask the customer to solve a challenge, which needs the page to be submitted
+      if (new URL(response.url).pathname.startsWith('/challenge')) {
+        form.submit();
+        return;
+      }
+
+      if (!response.ok || !response.url.includes('contact_posted=true')) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      saveSubscription(variantId.value, address);
+      this.#render();
+    } catch (error) {
+      console.error('Back in stock error:', error);
+      this.#showError(this.dataset.errorMessage);
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the confirmation instead of the form when the customer already asked to be notified about the variant.
+   */
+  #render() {
+    const { form, variantId, success } = this.refs;
+    const address = getSubscriptions()[variantId.value];
+
+    form.hidden = !!address;
+    success.textContent = address ? (this.dataset.successMessage ?? '').replace('{{ email }}', address) : '';
+  }
+
+  /**
+   * @param {string} [message] - The error message.
+   */
+  #showError(message = '') {
+    const { email, error } = this.refs;
+
+    error.textContent = message;
+    error.hidden = false;
+    email.setAttribute('aria-invalid', 'true');
+  }
+
+  #hideError() {
+    const { email, error } = this.refs;
+
+    error.hidden = true;
+    email.removeAttribute('aria-invalid');
+  }
+}
+
+/**
+ * Gets the variants customers asked to be notified about.
+ * @returns {Record<string, string>} The email asked with, by variant id.
+ */
+function getSubscriptions() {
+  try {
+    return JSON.parse(localStorage.getItem(SUBSCRIPTIONS_STORAGE_KEY) ?? '{}') ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Remembers that the customer asked to be notified about a variant.
+ * @param {string} variantId - The variant id.
+ * @param {string} email - The email asked with.
+ */
+function saveSubscription(variantId, email) {
+  try {
+    localStorage.setItem(SUBSCRIPTIONS_STORAGE_KEY, JSON.stringify({ ...getSubscriptions(), [variantId]: email }));
+  } catch (error) {
+    // Storage may be full or disabled, in which case the request is still sent
+    console.warn(error);
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
@@ -1,8 +1,27 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * @typedef {import('./cart-store').Cart} Cart
+ */
+
+/**
+ * Whether a code applied: `applied` when it lowers the cart total, `shipping` when it applies but its savings are only
+ * shown at checkout, `combination` when it doesn't apply while other codes do, and `not_applicable` otherwise.
+ *
+ * The cart only reports whether each code applies, not why it doesn't, so an expired code is `not_applicable` and a
+ * code that doesn't meet its own conditions next to other codes is reported as `combination`.
+ *
+ * @typedef {'applied' | 'shipping' | 'combination' | 'not_applicable'} DiscountCodeStatus
+ */
+
+/**
+ * The session storage key of the codes passed through the `discount` URL parameter, applied once the cart is loaded.
+ */
+const PENDING_CODES_KEY = 'theme:pending-discount-codes';
 
 /**
  * A custom element that applies a discount to the cart.
@@ -10,6 +29,7 @@ import { cartPerformance } from '@theme/performance';
  * @typedef {Object} CartDiscountComponentRefs
  * @property {HTMLElement} cartDiscountError - The error element.
  * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
+ * @property {HTMLElement} cartDiscountErrorCombination - The combination error element.
  * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
  */
 
@@ -17,11 +37,27 @@ import { cartPerformance } from '@theme/performance';
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
+  requiredRefs = [
+    'cartDiscountError',
+    'cartDiscountErrorDiscountCode',
+    'cartDiscountErrorCombination',
+    'cartDiscountErrorShipping',
+  ];
 
   /** @type {AbortController | null} */
   #activeFetch = null;
 
+  connectedCallback() {
+    super.connectedCallback();
+
+    const pendingCodes = sessionStorage.getItem(PENDING_CODES_KEY);
+    if (!pendingCodes) return;
+
+    // Taken right away, so the codes are only applied once
+    sessionStorage.removeItem(PENDING_CODES_KEY);
+    this.#applyCodes(parseCodes(pendingCodes)).catch(() => {});
+  }
+
   #createAbortController() {
     if (this.#activeFetch) {
       this.#activeFetch.abort();
@@ -33,12 +69,10 @@ class CartDiscount extends Component {
   }
 
   /**
-   * Handles updates to the cart note.
+   * Applies the codes entered in the form, separated by commas.
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -46,76 +80,64 @@ class CartDiscount extends Component {
     if (!(form instanceof HTMLFormElement)) return;
 
     const discountCode = form.querySelector('input[name="discount"]');
-    if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
+    if (!(discountCode instanceof HTMLInputElement)) return;
 
-    const discountCodeValue = discountCode.value;
+    try {
+      const statuses = await this.#applyCodes(parseCodes(discountCode.value));
+      if (statuses.size > 0) discountCode.value = '';
+    } catch (error) {
+    } finally {
+      cartPerformance.measureFromEvent('discount-update:user-action', event);
+    }
+  };
+
+  /**
+   * Adds codes to the ones applied to the cart, then shows the codes that didn't apply.
+   * @param {string[]} codes - The codes to add.
+   * @returns {Promise<Map<string, DiscountCodeStatus>>} The status of each code added.
+   */
+  async #applyCodes(codes) {
+    const { sectionId } = this.dataset;
+    if (typeof sectionId !== 'string') return new Map();
+
+    const existingDiscounts = this.#existingDiscounts();
+    const existingCodes = existingDiscounts.map((code) => code.toLowerCase());
+    const newCodes = codes.filter((code) => !existingCodes.includes(code.toLowerCase()));
+    if (newCodes.length === 0) return new Map();
 
     const abortController = this.#createAbortController();
 
     try {
-      const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
-
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
-
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
-
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
-        return;
-      }
+      this.#hideDiscountErrors();
 
-      const newHtml = data.sections[this.dataset.sectionId];
+      const { cart, sections } = await cartStore.update(
+        { discount: [...existingDiscounts, ...newCodes].join(',') },
+        { sections: [sectionId], silent: true, signal: abortController.signal }
+      );
+
+      const newHtml = sections[sectionId] ?? '';
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
-      const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
-        }
+      const section = parsedHtml.getElementById(`shopify-section-${sectionId}`);
+      const appliedCodes = Array.from(section?.querySelectorAll('.cart-discount__pill') ?? [], (element) =>
+        element instanceof HTMLLIElement ? element.dataset.discountCode?.toLowerCase() : null
+      );
+
+      /** @type {Map<string, DiscountCodeStatus>} */
+      const statuses = new Map(newCodes.map((code) => [code, getDiscountStatus(code, cart, appliedCodes)]));
+
+      // Codes that didn't apply leave the rendered cart unchanged
+      if ([...statuses.values()].some((status) => status === 'applied')) {
+        document.dispatchEvent(new DiscountUpdateEvent({ ...cart, sections }, this.id));
+        morphSection(sectionId, newHtml);
       }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
-    } catch (error) {
+      this.#showDiscountErrors(statuses);
+
+      return statuses;
     } finally {
-      this.#activeFetch = null;
-      cartPerformance.measureFromEvent('discount-update:user-action', event);
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
     }
-  };
+  }
 
   /**
    * Handles removing a discount from the cart.
@@ -149,19 +171,13 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
+      const { cart, sections } = await cartStore.update(
+        { discount: existingDiscounts.join(',') },
+        { sections: [this.dataset.sectionId], silent: true, signal: abortController.signal }
+      );
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
-
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      document.dispatchEvent(new DiscountUpdateEvent({ ...cart, sections }, this.id));
+      morphSection(this.dataset.sectionId, sections[this.dataset.sectionId] ?? '');
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -169,15 +185,43 @@ class CartDiscount extends Component {
   };
 
   /**
-   * Handles the discount error.
+   * The error elements of the statuses of codes that didn't lower the cart total.
+   * @returns {Partial<Record<DiscountCodeStatus, HTMLElement>>}
+   */
+  get #errorElements() {
+    const { cartDiscountErrorDiscountCode, cartDiscountErrorCombination, cartDiscountErrorShipping } = this.refs;
+
+    return {
+      not_applicable: cartDiscountErrorDiscountCode,
+      combination: cartDiscountErrorCombination,
+      shipping: cartDiscountErrorShipping,
+    };
+  }
+
+  #hideDiscountErrors() {
+    this.refs.cartDiscountError.classList.add('hidden');
+
+    for (const element of Object.values(this.#errorElements)) {
+      element.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Shows why codes didn't apply, one message per status naming its codes.
    *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * @param {Map<string, DiscountCodeStatus>} statuses - The status of each code.
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
-    cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+  #showDiscountErrors(statuses) {
+    for (const [status, element] of Object.entries(this.#errorElements)) {
+      const codes = [...statuses].filter(([, codeStatus]) => codeStatus === status).map(([code]) => code);
+      if (codes.length === 0) continue;
+
+      const { message } = element.dataset;
+      if (message) element.textContent = message.replace('{{ code }}', codes.join(', '));
+
+      element.classList.remove('hidden');
+      this.refs.cartDiscountError.classList.remove('hidden');
+    }
   }
 
   /**
@@ -198,6 +242,41 @@ class CartDiscount extends Component {
   }
 }
 
+/**
+ * Gets whether a code added to the cart applied.
+ * @param {string} code - The code.
+ * @param {Cart} cart - The cart after the code was added.
+ * @param {(string | null | undefined)[]} appliedCodes - The lowercased codes with savings in the rendered cart.
+ * @returns {DiscountCodeStatus}
+ */
+function getDiscountStatus(code, cart, appliedCodes) {
+  const discount = cart.discount_codes.find((discount) => discount.code.toLowerCase() === code.toLowerCase());
+
+  if (discount?.applicable) return appliedCodes.includes(code.toLowerCase()) ? 'applied' : 'shipping';
+
+  return cart.discount_codes.some((discount) => discount.applicable) ? 'combination' : 'not_applicable';
+}
+
+/**
+ * Splits a list of codes separated by commas.
+ * @param {string} value - The codes.
+ * @returns {string[]}
+ */
+function parseCodes(value) {
+  return [...new Set(value.split(',').map((code) => code.trim()))].filter(Boolean);
+}
+
+// Hold on to the codes of discount links until the cart is loaded, which may be on a later page
+const urlCodes = new URLSearchParams(window.location.search).get('discount');
+if (urlCodes) {
+  const pendingCodes = sessionStorage.getItem(PENDING_CODES_KEY);
+  sessionStorage.setItem(PENDING_CODES_KEY, pendingCodes ? `${pendingCodes},${urlCodes}` : urlCodes);
+
+  const url = new URL(window.location.href);
+  url.searchParams.delete('discount');
+  history.replaceState(history.state, '', url);
+}
+
 if (!customElements.get('cart-discount-component')) {
   customElements.define('cart-discount-component', CartDiscount);
 }
@@ -1,27 +1,29 @@
 import { DialogComponent } from '@theme/dialog';
 import { CartAddEvent } from '@theme/events';
 
+/**
+ * The sources of cart updates that happen in the background, rather than in response to the shopper.
+ */
+const BACKGROUND_SOURCES = ['offline-cart-queue', 'cart-threshold-component'];
+
 /**
  * A custom element that manages a cart drawer.
  *
  * @extends {DialogComponent}
  */
 class CartDrawerComponent extends DialogComponent {
-  connectedCallback() {
-    super.connectedCallback();
-    document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
-  }
+  /**
+   * Opens the drawer when an item is added to the cart, if the drawer is set to open automatically.
+   * @param {CartAddEvent} event - The cart event.
+   */
+  handleCartAdd(event) {
+    // Adds the shopper didn't just make, like the ones replayed once back online or a gift, don't open the drawer
+    if (BACKGROUND_SOURCES.includes(event.detail?.data?.source ?? '')) return;
 
-  disconnectedCallback() {
-    super.disconnectedCallback();
-    document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
-  }
-
-  #handleCartAdd = () => {
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
-  };
+  }
 
   open() {
     this.showDialog();
@@ -1,6 +1,9 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+
+/** @typedef {import('@theme/cart-store').Cart} Cart */
+/** @typedef {import('@theme/cart-store').CartChange} CartChange */
 
 /**
  * A custom element that displays a cart icon.
@@ -24,83 +27,52 @@ class CartIcon extends Component {
     this.refs.cartBubbleCount.textContent = value < 100 ? String(value) : '';
   }
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
-    this.ensureCartBubbleIsCorrect();
+    this.#unsubscribe = cartStore.subscribe(this.onCartUpdate);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe?.();
   }
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Handles cart changes.
+   * @param {Cart} cart - The updated cart.
+   * @param {CartChange} change - How the cart changed.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+  onCartUpdate = (cart, { remote }) => {
+    // Changes that don't affect the item count, like note updates, don't need to animate the bubble
+    if (cart.item_count === this.currentCartCount) return;
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    // Changes from other tabs happened out of sight
+    this.renderCartBubble(cart.item_count, !remote);
   };
 
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
-
+  renderCartBubble = async (itemCount, animate = true) => {
     this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('cart-bubble--animating', itemCount > 0 && animate);
 
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
+    this.currentCartCount = itemCount;
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
-    sessionStorage.setItem(
-      'cart-count',
-      JSON.stringify({
-        value: String(this.currentCartCount),
-        timestamp: Date.now(),
-      })
-    );
-
     if (!animate) return;
     await onAnimationEnd(this.refs.cartBubbleText);
 
     this.refs.cartBubble.classList.remove('cart-bubble--animating');
   };
-
-  /**
-   * Checks if the cart count is correct.
-   */
-  ensureCartBubbleIsCorrect = () => {
-    const sessionStorageCount = sessionStorage.getItem('cart-count');
-    const visibleCount = this.refs.cartBubbleCount.textContent;
-
-    if (sessionStorageCount === visibleCount || sessionStorageCount === null) return;
-
-    try {
-      const { value, timestamp } = JSON.parse(sessionStorageCount);
-
-      if (Date.now() - timestamp < 10000) {
-        const count = parseInt(value, 10);
-
-        if (count >= 0) {
-          this.renderCartBubble(count, false, false);
-        }
-      }
-    } catch (_) {
-      // no-op
-    }
-  };
 }
 
 if (!customElements.get('cart-icon')) {
@@ -0,0 +1,115 @@
+import { Component } from '@theme/component';
+import { CartAddEvent } from '@theme/events';
+
+/**
+ * @typedef {import('./cart-store').Cart} Cart
+ */
+
+/**
+ * @typedef {Object} CartRecommendationsRefs
+ * @property {HTMLElement} content - The element the recommendations are rendered in.
+ */
+
+/**
+ * The most products the recommendations endpoint returns, requested to make up for the ones left out because they're
+ * already in the cart.
+ */
+const RECOMMENDATIONS_LIMIT = 10;
+
+/**
+ * A custom element that shows the complementary products of the most recent cart line, with quick add buttons.
+ *
+ * The recommendations are loaded once the element is visible, e.g. when the cart drawer opens, and again whenever a
+ * product is added to the cart. Products already in the cart are left out by the section. The element is never
+ * hidden, as its visibility couldn't be observed then: it collapses while it has no recommendations to show.
+ *
+ * @extends {Component<CartRecommendationsRefs>}
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['content'];
+
+  /**
+   * Loads the recommendations once the element is visible.
+   * @type {IntersectionObserver}
+   */
+  #intersectionObserver = new IntersectionObserver((entries, observer) => {
+    if (!entries[0]?.isIntersecting) return;
+
+    observer.disconnect();
+    this.#loadRecommendations();
+  });
+
+  /**
+   * An abort controller for the active fetch (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#intersectionObserver.observe(this);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#intersectionObserver.disconnect();
+    this.#activeFetch?.abort();
+  }
+
+  /**
+   * Loads the recommendations for the most recent cart line when a product is added.
+   * @param {Event} event - The cart update event.
+   */
+  handleCartAdd(event) {
+    if (!(event instanceof CartAddEvent) || event.detail.data.didError) return;
+
+    const cart = /** @type {Cart | undefined} */ (event.detail.resource);
+    const productId = cart?.items[0]?.product_id;
+    if (!productId) return;
+
+    this.dataset.productId = String(productId);
+
+    // Wait until the element is visible, which is immediately when the drawer is open
+    this.#intersectionObserver.disconnect();
+    this.#intersectionObserver.observe(this);
+  }
+
+  async #loadRecommendations() {
+    const { productId, sectionId, url } = this.dataset;
+    if (!productId || !sectionId || !url) return;
+
+    this.#activeFetch?.abort();
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      const params = new URLSearchParams({
+        product_id: productId,
+        limit: String(RECOMMENDATIONS_LIMIT),
+        section_id: sectionId,
+        intent: 'complementary',
+      });
+
+      const response = await fetch(`${url}?${params}`, { signal: abortController.signal });
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+      const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const list = html.querySelector('.cart-recommendations__list');
+
+      this.refs.content.replaceChildren(...(list?.children ?? []));
+    } catch (error) {
+      if (error instanceof DOMException && error.name === 'AbortError') return;
+
+      console.error('Cart recommendations error:', error);
+      this.refs.content.replaceChildren();
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
+    }
+  }
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
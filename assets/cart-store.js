@@ -0,0 +1,396 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartAddEvent, CartErrorEvent, CartUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} CartItem
+ * @property {string} key - The unique key of the line
+ * @property {number} id - The variant id
+ * @property {number} variant_id - The variant id
+ * @property {number} product_id - The product id
+ * @property {number} quantity - The quantity of the line
+ * @property {number} final_line_price - The price of the line after discounts, in cents
+ * @property {Record<string, string>} [properties] - The line item properties
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token
+ * @property {number} item_count - The number of items in the cart
+ * @property {number} total_price - The total price in cents
+ * @property {string | null} note - The cart note
+ * @property {CartItem[]} items - The cart lines
+ * @property {{ code: string, applicable: boolean }[]} discount_codes - The discount codes applied to the cart
+ */
+
+/**
+ * @typedef {Object} CartMutationOptions
+ * @property {string[]} [sections] - The ids of the sections to render with the mutation
+ * @property {string} [sourceId] - The id of the element the mutation was triggered from
+ * @property {EventTarget} [target] - The element to dispatch the cart events on, the document by default
+ * @property {Record<string, any>} [data] - Additional cart event data, such as the `source` of the mutation
+ * @property {boolean} [silent] - Whether to only notify subscribers, without dispatching a cart update event
+ * @property {AbortSignal} [signal] - Aborts the request
+ */
+
+/**
+ * @typedef {Object} CartMutationResult
+ * @property {Cart} cart - The cart after the mutation
+ * @property {Record<string, string>} sections - The rendered sections by id
+ */
+
+/**
+ * @typedef {Object} CartChange
+ * @property {boolean} remote - Whether the cart was changed in another tab
+ */
+
+/**
+ * @callback CartSubscriber
+ * @param {Cart} cart - The updated cart
+ * @param {CartChange} change - How the cart changed
+ * @returns {void}
+ */
+
+/**
+ * The channel, or storage key where `BroadcastChannel` isn't supported, that tabs share cart changes on.
+ */
+const CART_SYNC_CHANNEL = 'theme:cart';
+
+/**
+ * Holds the cart and runs every cart mutation through a single queue, so the cart is only ever updated from
+ * the latest response.
+ *
+ * Mutations dispatch a `CartAddEvent` or `CartUpdateEvent` on success and a `CartErrorEvent` on failure.
+ * Cart changes are shared with the other tabs of the shop, whose subscribers are notified with `remote: true`.
+ */
+class CartStore {
+  /**
+   * The latest known cart, or null until it is first fetched or mutated.
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The tail of the request queue.
+   * @type {Promise<unknown>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * The cart fetch in progress, shared by concurrent callers.
+   * @type {Promise<Cart> | null}
+   */
+  #pendingFetch = null;
+
+  /** @type {Set<CartSubscriber>} */
+  #subscribers = new Set();
+
+  /** @type {BroadcastChannel | null} */
+  #channel = 'BroadcastChannel' in window ? new BroadcastChannel(CART_SYNC_CHANNEL) : null;
+
+  constructor() {
+    // Pages restored from the back/forward cache render the cart as it was when they were left
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) this.refresh();
+    });
+
+    if (this.#channel) {
+      this.#channel.addEventListener('message', (event) => this.#setCart(event.data, true));
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== CART_SYNC_CHANNEL || !event.newValue) return;
+
+        try {
+          this.#setCart(JSON.parse(event.newValue).cart, true);
+        } catch (error) {
+          console.error(error);
+        }
+      });
+    }
+  }
+
+  /**
+   * The latest known cart.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Gets the quantity of a variant in the latest known cart, across all of its lines.
+   * @param {number | string} variantId - The variant id.
+   * @returns {number} The quantity.
+   */
+  getQuantity(variantId) {
+    const items = this.#cart?.items ?? [];
+
+    return items
+      .filter((item) => String(item.variant_id) === String(variantId))
+      .reduce((quantity, item) => quantity + item.quantity, 0);
+  }
+
+  /**
+   * Gets the cart, fetching it if the store doesn't hold it yet.
+   * @returns {Promise<Cart>} The cart.
+   */
+  load() {
+    return this.#cart ? Promise.resolve(this.#cart) : this.refresh();
+  }
+
+  /**
+   * Fetches the cart once the queued mutations are done, sharing the request with concurrent callers.
+   * @returns {Promise<Cart>} The cart.
+   */
+  refresh() {
+    this.#pendingFetch ??= this.#enqueue(async () => {
+      const cart = await fetchCart();
+
+      if (JSON.stringify(cart) !== JSON.stringify(this.#cart)) this.#setCart(cart);
+
+      return cart;
+    }).finally(() => {
+      this.#pendingFetch = null;
+    });
+
+    return this.#pendingFetch;
+  }
+
+  /**
+   * Subscribes to cart changes.
+   * @param {CartSubscriber} subscriber - Called with the cart whenever it changes.
+   * @returns {() => void} Unsubscribes.
+   */
+  subscribe(subscriber) {
+    this.#subscribers.add(subscriber);
+
+    return () => this.#subscribers.delete(subscriber);
+  }
+
+  /**
+   * Adds items to the cart.
+   * @param {FormData | Record<string, any>} body - The product form data, or an object with `items`.
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  add(body, options) {
+    return this.#mutate(Theme.routes.cart_add_url, body, options, true);
+  }
+
+  /**
+   * Changes the quantity or properties of a cart line.
+   * @param {Record<string, any>} body - The change, e.g. `{ line, quantity }` or `{ id, quantity }`.
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  change(body, options) {
+    return this.#mutate(Theme.routes.cart_change_url, body, options);
+  }
+
+  /**
+   * Updates quantities, the note, attributes or discounts of the cart.
+   * @param {Record<string, any>} body - The update, e.g. `{ note }` or `{ discount }`.
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  update(body, options) {
+    return this.#mutate(Theme.routes.cart_update_url, body, options);
+  }
+
+  /**
+   * Removes every line from the cart.
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  clear(options) {
+    return this.#mutate(Theme.routes.cart_clear_url, {}, options);
+  }
+
+  /**
+   * Queues a cart mutation and dispatches its cart events.
+   * @param {string} url - The cart endpoint.
+   * @param {FormData | Record<string, any>} body - The request body.
+   * @param {CartMutationOptions} [options]
+   * @param {boolean} [isAdd] - Whether the mutation adds items, as add responses don't hold the cart.
+   * @returns {Promise<CartMutationResult>}
+   */
+  #mutate(url, body, options = {}, isAdd = false) {
+    const { sections = [], sourceId = '', target = document, data = {}, silent = false, signal } = options;
+
+    return this.#enqueue(async () => {
+      /** @type {Response} */
+      let response;
+      /** @type {any} */
+      let json;
+
+      try {
+        response = await fetch(url, { ...buildRequest(body, sections), signal });
+        json = await parseResponse(response);
+      } catch (error) {
+        // Network errors and responses that aren't JSON have no message of their own to show
+        if (!(error instanceof DOMException && error.name === 'AbortError')) {
+          target.dispatchEvent(new CartErrorEvent(sourceId, Theme.translations.cart_error ?? '', '', {}));
+        }
+
+        throw error;
+      }
+
+      if (!response.ok || json.status) {
+        const error = new CartError(response.status, json);
+
+        target.dispatchEvent(new CartErrorEvent(sourceId, error.message, error.description, error.errors));
+
+        // Adding more than the available quantity still adds what is available
+        if (isAdd) {
+          try {
+            const cart = await fetchCart();
+
+            this.#setCart(cart);
+            target.dispatchEvent(
+              new CartAddEvent(cart, sourceId, { ...data, didError: true, itemCount: cart.item_count })
+            );
+          } catch {
+            // The cart is refreshed on the next update, and the error to report is the one of the add
+          }
+        }
+
+        throw error;
+      }
+
+      const { sections: renderedSections = {}, ...cartResponse } = json;
+      const cart = isAdd ? await fetchCart() : /** @type {Cart} */ (cartResponse);
+
+      this.#setCart(cart);
+
+      if (!silent) {
+        const eventData = { ...data, itemCount: cart.item_count, sections: renderedSections };
+
+        target.dispatchEvent(
+          isAdd ? new CartAddEvent(cart, sourceId, eventData) : new CartUpdateEvent(cart, sourceId, eventData)
+        );
+      }
+
+      return { cart, sections: renderedSections };
+    });
+  }
+
+  /**
+   * Runs a task after every task queued before it.
+   * @template T
+   * @param {() => Promise<T>} task - The task.
+   * @returns {Promise<T>} The task result.
+   */
+  #enqueue(task) {
+    const result = this.#queue.then(task);
+
+    this.#queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * @param {Cart} cart - The new cart.
+   * @param {boolean} [remote] - Whether the cart was changed in another tab.
+   */
+  #setCart(cart, remote = false) {
+    this.#cart = cart;
+
+    if (!remote) this.#broadcast(cart);
+
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(cart, { remote });
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Shares a cart change with the other tabs.
+   * @param {Cart} cart - The new cart.
+   */
+  #broadcast(cart) {
+    try {
+      if (this.#channel) {
+        this.#channel.postMessage(cart);
+      } else {
+        // Only the change event is needed, so the cart isn't left in storage
+        localStorage.setItem(CART_SYNC_CHANNEL, JSON.stringify({ cart, timestamp: Date.now() }));
+        localStorage.removeItem(CART_SYNC_CHANNEL);
+      }
+    } catch (error) {
+      // Storage can be unavailable, e.g. in private browsing
+    }
+  }
+}
+
+/**
+ * Fetches the cart.
+ * @returns {Promise<Cart>} The cart.
+ */
+async function fetchCart() {
+  const response = await fetch(`${Theme.routes.cart_url}.js`);
+  const json = await parseResponse(response);
+
+  if (!response.ok) throw new CartError(response.status, json);
+
+  return json;
+}
+
+/**
+ * Parses the body of a cart response. Errors from the server or a proxy, like a timeout page, aren't always JSON.
+ * @param {Response} response - The cart response.
+ * @returns {Promise<any>} The parsed body.
+ */
+async function parseResponse(response) {
+  try {
+    return await response.json();
+  } catch {
+    throw new CartError(response.status);
+  }
+}
+
+/**
+ * Builds the request for a cart mutation, asking for the given sections to be rendered with it.
+ * @param {FormData | Record<string, any>} body - The request body.
+ * @param {string[]} sections - The ids of the sections to render.
+ * @returns {RequestInit} The request.
+ */
+function buildRequest(body, sections) {
+  if (body instanceof FormData) {
+    if (sections.length) {
+      body.set('sections', sections.join(','));
+      body.set('sections_url', window.location.pathname);
+    }
+
+    const config = fetchConfig('javascript', { body });
+
+    return { ...config, headers: { ...config.headers, Accept: 'text/html' } };
+  }
+
+  const sectionParams = sections.length ? { sections: sections.join(','), sections_url: window.location.pathname } : {};
+
+  return fetchConfig('json', { body: JSON.stringify({ ...body, ...sectionParams }) });
+}
+
+/**
+ * Thrown when a cart request is rejected, e.g. when a variant is sold out or a quantity is above its limit
+ */
+export class CartError extends Error {
+  /**
+   * @param {number} status - The response status
+   * @param {{ message?: string, description?: string, errors?: any }} [response] - The error response
+   */
+  constructor(status, response) {
+    const { message, description, errors } = response ?? {};
+
+    super(message ?? (typeof errors === 'string' ? errors : `Cart request failed with status ${status}`));
+    this.status = status;
+    this.description = description ?? '';
+    this.errors = errors ?? {};
+    // Server errors and bodies that aren't JSON, like a gateway error page, may succeed when the request is retried
+    this.isRejection = status >= 400 && status < 500 && response != null;
+  }
+}
+
+export const cartStore = new CartStore();
@@ -0,0 +1,146 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { formatCents } from '@theme/utilities';
+
+/**
+ * @typedef {import('./cart-store').Cart} Cart
+ * @typedef {import('./events').CartUpdateEvent} CartUpdateEvent
+ */
+
+/**
+ * @typedef {Object} CartThresholdRefs
+ * @property {HTMLElement[]} [thresholds] - The thresholds, each with a message and a progress bar.
+ */
+
+/**
+ * The line item property that marks the gift added by the threshold.
+ */
+export const GIFT_PROPERTY = '_gift';
+
+/**
+ * Remembers that the gift was added for the current threshold crossing, so it isn't added back after customers
+ * remove it.
+ */
+const GIFT_STORAGE_KEY = 'theme:cart-gift-added';
+
+/**
+ * The gift add or removal in flight, shared by the drawer and the cart page so they don't both make it.
+ * @type {Promise<unknown> | null}
+ */
+let pendingGiftUpdate = null;
+
+/**
+ * A custom element that shows the progress of the cart towards the free shipping and free gift thresholds.
+ *
+ * Thresholds are set in the shop currency and converted to the presentment currency of the cart. When a gift variant
+ * is set, the gift is added once a cart change reaches its threshold and removed when it falls below it again.
+ *
+ * @extends {Component<CartThresholdRefs>}
+ */
+class CartThresholdComponent extends Component {
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render(Number(this.dataset.total));
+  }
+
+  afterMorph() {
+    this.#render(Number(this.dataset.total));
+  }
+
+  /**
+   * Updates the progress when the cart changes.
+   * @param {CartUpdateEvent} event - The cart update event.
+   */
+  handleCartUpdate(event) {
+    const cart = /** @type {Cart | undefined} */ (event.detail.resource);
+    if (!Array.isArray(cart?.items)) return;
+
+    this.#render(getEligibleTotal(cart));
+    this.#updateGift(cart);
+  }
+
+  /**
+   * @param {number} total - The total of the cart, without the gift, in cents.
+   */
+  #render(total) {
+    const { moneyFormat = '', currency = '' } = this.dataset;
+
+    for (const threshold of this.refs.thresholds ?? []) {
+      const amount = this.#convert(Number(threshold.dataset.threshold));
+      const reached = total >= amount;
+      const message = threshold.querySelector('.cart-threshold__message');
+      const progress = threshold.querySelector('progress');
+
+      threshold.toggleAttribute('data-reached', reached);
+      if (progress) progress.value = amount > 0 ? Math.min(total / amount, 1) : 1;
+      if (!message) continue;
+
+      const remaining = formatCents(amount - total, moneyFormat, currency);
+      message.textContent = reached
+        ? threshold.dataset.reachedMessage ?? ''
+        : (threshold.dataset.progressMessage ?? '').replace('{{ amount }}', remaining);
+    }
+  }
+
+  /**
+   * Adds the gift when the cart reaches the gift threshold, and removes it when the cart falls below it.
+   * It's only called for cart changes, so loading a page never changes the cart. The updates are made with a
+   * source the cart drawer ignores, so they don't open it.
+   * @param {Cart} cart - The cart.
+   */
+  #updateGift(cart) {
+    const { giftVariantId, giftThreshold } = this.dataset;
+    if (!giftVariantId || pendingGiftUpdate) return;
+
+    const reached = getEligibleTotal(cart) >= this.#convert(Number(giftThreshold));
+    const giftLines = cart.items.filter((item) => item.properties?.[GIFT_PROPERTY]);
+    const options = { sourceId: this.id, data: { source: 'cart-threshold-component' } };
+
+    if (!reached) sessionStorage.removeItem(GIFT_STORAGE_KEY);
+
+    if (reached && giftLines.length === 0 && !sessionStorage.getItem(GIFT_STORAGE_KEY)) {
+      sessionStorage.setItem(GIFT_STORAGE_KEY, 'true');
+      pendingGiftUpdate = cartStore.add(
+        { items: [{ id: Number(giftVariantId), quantity: 1, properties: { [GIFT_PROPERTY]: 'true' } }] },
+        options
+      );
+    } else if (!reached && giftLines.length > 0) {
+      const updates = Object.fromEntries(giftLines.map((item) => [item.key, 0]));
+      pendingGiftUpdate = cartStore.update({ updates }, options);
+    }
+
+    pendingGiftUpdate
+      ?.catch((error) => console.error(error))
+      .finally(() => {
+        pendingGiftUpdate = null;
+      });
+  }
+
+  /**
+   * Converts an amount in the shop currency to the presentment currency.
+   * @param {number} cents - The amount in the shop currency, in cents.
+   * @returns {number} The amount in the presentment currency, in cents.
+   */
+  #convert(cents) {
+    const rate = Number(window.Shopify?.currency?.rate ?? 1) || 1;
+
+    return Math.ceil(cents * rate);
+  }
+}
+
+/**
+ * Gets the total that counts towards the thresholds, which leaves out the gift.
+ * @param {Cart} cart - The cart.
+ * @returns {number} The total in cents.
+ */
+function getEligibleTotal(cart) {
+  return cart.items.reduce(
+    (total, item) => (item.properties?.[GIFT_PROPERTY] ? total - item.final_line_price : total),
+    cart.total_price
+  );
+}
+
+if (!customElements.get('cart-threshold-component')) {
+  customElements.define('cart-threshold-component', CartThresholdComponent);
+}
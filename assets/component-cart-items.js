@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { debounce, formatCents, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -9,8 +9,32 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, CartError } from '@theme/cart-store';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-store').CartMutationOptions} CartMutationOptions */
+/** @typedef {import('./cart-store').CartMutationResult} CartMutationResult */
+
+/**
+ * @typedef {Object} LineItem
+ * @property {number} id - The variant id
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {number} [selling_plan] - The selling plan id
+ * @property {number} [parent_id] - The variant id of the line this line is nested in
+ */
+
+/**
+ * @typedef {Object} RemovedLine
+ * @property {string} key - The key of the removed line
+ * @property {LineItem[]} items - The removed line and the lines nested in it, as added to the cart
+ * @property {string | null} nextKey - The key of the line to focus once the removal can no longer be undone
+ */
+
+/**
+ * How long a line removal can be undone for, in milliseconds.
+ */
+const UNDO_DURATION = 8000;
 
 /**
  * A custom element that displays a cart items component.
@@ -18,19 +42,32 @@ import { cartPerformance } from '@theme/performance';
  * @typedef {object} Refs
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
+ * @property {HTMLTableRowElement[]} [cartGroupRows] - The header rows of the groups of cart lines.
+ * @property {TextComponent[]} cartItemPrices - The line totals of the cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLElement} [undoToast] - The toast offering to undo the latest line removal.
+ * @property {HTMLElement} [undoMessage] - The message of the undo toast.
+ * @property {HTMLButtonElement} [undoButton] - The undo button.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+
+    // Render the cart again when it changes in another tab
+    this.#unsubscribe = cartStore.subscribe((_, { remote }) => {
+      if (remote) sectionRenderer.renderSections(this.cartSectionIds, { cache: false });
+    });
   }
 
   disconnectedCallback() {
@@ -38,6 +75,15 @@ class CartItemsComponent extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    this.#unsubscribe?.();
+    clearTimeout(this.#undoTimeout);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // Groups are rendered collapsed
+    this.#showExpandedGroups();
   }
 
   /**
@@ -45,7 +91,11 @@ class CartItemsComponent extends Component {
    * @param {QuantitySelectorUpdateEvent} event - The event.
    */
   #onQuantityChange(event) {
-    const { quantity, cartLine: line } = event.detail;
+    const { quantity, cartLine: line, cartGroup: group } = event.detail;
+
+    if (group) {
+      return quantity === 0 ? this.onGroupRemove(group) : this.updateGroupQuantity(group, quantity);
+    }
 
     if (!line) return;
 
@@ -58,12 +108,6 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
-
-    if (!lineItemRow) return;
-
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
   }
 
   /**
@@ -71,38 +115,278 @@ class CartItemsComponent extends Component {
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
+    const cartItemRowToRemove = this.#getRow(line);
+    const rowsToRemove = cartItemRowToRemove
+      ? [
+          cartItemRowToRemove,
+          // Get all nested lines of the row to remove
+          ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
+        ]
+      : [];
+
+    // Read the lines before the removal sets their quantity to zero
+    if (cartItemRowToRemove) this.#offerUndo(cartItemRowToRemove, rowsToRemove);
+
     this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    animateRemoval(rowsToRemove);
+  }
+
+  /**
+   * Removes the group of the clicked remove button.
+   * @param {MouseEvent} event - The click event of a button with the group id in `data-group-id`.
+   */
+  removeGroup(event) {
+    const group = getGroupId(event);
+
+    if (group != null) this.onGroupRemove(group);
+  }
+
+  /**
+   * Removes every line of a group in a single update.
+   * @param {string | number} group - The group id.
+   */
+  onGroupRemove(group) {
+    const groupRow = this.#getGroupRow(group);
+    const memberRows = this.#getGroupMembers(group);
 
-    if (!cartItemRowToRemove) return;
+    if (groupRow) this.#offerUndo(groupRow, memberRows);
 
-    const rowsToRemove = [
-      cartItemRowToRemove,
-      // Get all nested lines of the row to remove
-      ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
-    ];
+    this.updateGroupQuantity(group, 0);
 
-    // Add class to the row to trigger the animation
-    rowsToRemove.forEach((row) => {
-      const remove = () => row.remove();
+    if (groupRow) animateRemoval([groupRow, ...memberRows]);
+  }
 
-      if (prefersReducedMotion()) return remove();
+  /**
+   * The ids of the groups the user expanded, kept when the cart is rendered again.
+   * @type {Set<string>}
+   */
+  #expandedGroups = new Set();
 
-      row.style.setProperty('--row-height', `${row.clientHeight}px`);
-      row.classList.add('removing');
+  /**
+   * Expands or collapses the group of lines of the clicked toggle.
+   * @param {MouseEvent} event - The click event of a toggle with the group id in `data-group-id`.
+   */
+  toggleGroup(event) {
+    const id = getGroupId(event);
+    if (id == null) return;
 
-      // Remove the row after the animation ends
-      onAnimationEnd(row, remove);
-    });
+    if (!this.#expandedGroups.delete(id)) this.#expandedGroups.add(id);
+
+    this.#showExpandedGroups();
+  }
+
+  #showExpandedGroups() {
+    for (const row of this.refs.cartGroupRows ?? []) {
+      const expanded = this.#expandedGroups.has(row.dataset.group ?? '');
+      row.querySelector('.cart-items__group-toggle')?.setAttribute('aria-expanded', String(expanded));
+    }
+
+    for (const row of this.refs.cartItemRows ?? []) {
+      if (row.dataset.group != null) row.hidden = !this.#expandedGroups.has(row.dataset.group);
+    }
+  }
+
+  /**
+   * @param {number} line - The line.
+   * @returns {HTMLTableRowElement | undefined} The row of the line.
+   */
+  #getRow(line) {
+    return this.refs.cartItemRows?.find((row) => row.dataset.line === String(line));
+  }
+
+  /**
+   * @param {string | number} group - The group id.
+   * @returns {HTMLTableRowElement | undefined} The header row of the group.
+   */
+  #getGroupRow(group) {
+    return this.refs.cartGroupRows?.find((row) => row.dataset.group === String(group));
+  }
+
+  /**
+   * @param {string | number} group - The group id.
+   * @returns {HTMLTableRowElement[]} The rows of the lines in the group.
+   */
+  #getGroupMembers(group) {
+    return (this.refs.cartItemRows ?? []).filter((row) => row.dataset.group === String(group));
+  }
+
+  /**
+   * The latest removed line, until it can no longer be undone.
+   * @type {RemovedLine | null}
+   */
+  #removedLine = null;
+
+  /** @type {number | undefined} */
+  #undoTimeout;
+
+  /**
+   * Shows the undo toast for a line or group that is being removed, moving focus to it if the line had focus.
+   * @param {HTMLTableRowElement} row - The row of the removed line, or the header row of the removed group.
+   * @param {HTMLTableRowElement[]} rows - The rows of the removed lines, including the lines nested in them.
+   */
+  #offerUndo(row, rows) {
+    const { undoToast, undoMessage, undoButton } = this.refs;
+    if (!undoToast || !undoMessage || !undoButton) return;
+
+    const items = rows
+      .map((lineRow) => {
+        const item = readLineItem(lineRow);
+        const parentRow = rows.find((parent) => parent.dataset.key === lineRow.dataset.parentKey);
+
+        // Nested lines are added back under their parent line
+        if (item && parentRow) item.parent_id = Number(parentRow.dataset.variant);
+
+        return item;
+      })
+      .filter((item) => item != null);
+
+    if (!items.length) return;
+
+    // Lines and groups, leaving out the lines shown within another line or a group
+    const entrySelector = '.cart-items__table-row[data-key]:not(.cart-items__nested-line, .cart-items__group-member)';
+    const entries = Array.from(/** @type {NodeListOf<HTMLTableRowElement>} */ (this.querySelectorAll(entrySelector)));
+    const index = entries.indexOf(row);
+    const siblings = entries.filter((entry) => entry !== row);
+    const nextRow = siblings.find((sibling) => entries.indexOf(sibling) > index) ?? siblings[siblings.length - 1];
+
+    this.#removedLine = {
+      key: row.dataset.key ?? '',
+      items,
+      // Focus moves to the closest remaining line once the removal can no longer be undone
+      nextKey: nextRow?.dataset.key ?? null,
+    };
+
+    undoMessage.textContent = (undoToast.dataset.message ?? '').replace('{{ title }}', row.dataset.title ?? '');
+    undoToast.hidden = false;
+
+    if (row.contains(document.activeElement)) undoButton.focus();
+
+    this.#scheduleUndoDismissal();
+  }
+
+  /**
+   * Hides the undo toast once the undo time is up, waiting for focus to leave it.
+   */
+  #scheduleUndoDismissal() {
+    clearTimeout(this.#undoTimeout);
+
+    this.#undoTimeout = setTimeout(() => {
+      if (this.refs.undoToast?.contains(document.activeElement)) {
+        this.#scheduleUndoDismissal();
+        return;
+      }
+
+      const removedLine = this.#removedLine;
+      this.#removedLine = null;
+
+      if (this.#dismissUndo() && removedLine) this.#focusLine(removedLine.nextKey);
+    }, UNDO_DURATION);
+  }
+
+  /**
+   * Hides the undo toast.
+   * @returns {boolean} Whether the toast had focus.
+   */
+  #dismissUndo() {
+    const { undoToast } = this.refs;
+    const hadFocus = Boolean(undoToast?.contains(document.activeElement));
+
+    clearTimeout(this.#undoTimeout);
+    if (undoToast) undoToast.hidden = true;
+
+    return hadFocus;
+  }
+
+  /**
+   * Adds the latest removed line back to the cart, with its quantity, properties, selling plan and nested lines.
+   */
+  async undoLineItemRemove() {
+    const removedLine = this.#removedLine;
+    if (!removedLine) return;
+
+    // Keep focus on the toast until the line is back
+    clearTimeout(this.#undoTimeout);
+    this.#removedLine = null;
+
+    try {
+      const { sections } = await cartStore.add(
+        { items: removedLine.items },
+        {
+          sections: this.cartSectionIds,
+          sourceId: this.sectionId,
+          target: this,
+          data: { source: 'cart-items-component' },
+        }
+      );
+
+      const sectionHTML = sections[this.sectionId];
+
+      if (sectionHTML) {
+        await morphSection(this.sectionId, sectionHTML);
+      } else {
+        await sectionRenderer.renderSections(this.cartSectionIds, { cache: false });
+      }
+
+      this.#updateCartQuantitySelectorButtonStates();
+    } catch (error) {
+      // The line may have sold out since it was removed
+      if (!(error instanceof CartError)) console.error(error);
+    }
+
+    if (this.#dismissUndo()) this.#focusLine(removedLine.key, removedLine.nextKey);
   }
 
+  /**
+   * Moves focus to the remove button of the first of the lines that is in the cart, or to the cart when none is.
+   * @param {...(string | null)} keys - The line keys.
+   */
+  #focusLine(...keys) {
+    const rows = [...(this.refs.cartItemRows ?? []), ...(this.refs.cartGroupRows ?? [])];
+
+    for (const key of keys) {
+      const row = rows.find((row) => row.dataset.key === key);
+      const button = row?.querySelector('.cart-items__remove');
+
+      if (button instanceof HTMLElement && !button.hidden) {
+        button.focus();
+        return;
+      }
+    }
+
+    // The cart is empty, so focus the start of the cart instead
+    const fallback = this.querySelector('.cart-items__empty-button, [ref="closeButton"], .cart-items__title');
+    if (fallback instanceof HTMLElement) fallback.focus();
+  }
+
+  /**
+   * The number of quantity updates waiting for the cart to respond.
+   */
+  #pendingUpdates = 0;
+
+  /**
+   * The sections rendered by the latest successful quantity update, kept until every pending update is done so
+   * the rows and totals don't jump back and forth while the user is still changing quantities.
+   * @type {Record<string, string> | null}
+   */
+  #latestSections = null;
+
+  /**
+   * The quantity updates the cart rejected while other updates were pending, by the line item key or `group-<id>`
+   * key of their error message. Keys are used rather than line numbers, which shift once other lines are removed.
+   * @type {{ errorKey: string, quantity: number, message: string, rollback: () => void }[]}
+   */
+  #failedUpdates = [];
+
   /**
    * Updates the quantity.
+   *
+   * The quantity, line total and cart total change right away, then the cart is reconciled with the response
+   * once every pending update is done, or rolled back if the cart rejects the change.
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
@@ -111,75 +395,171 @@ class CartItemsComponent extends Component {
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
-    const { cartTotal } = this.refs;
-
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
-
-    cartTotal?.shimmer();
+    const errorKey = this.#getRow(line)?.dataset.key ?? '';
+    const rollback = this.#showQuantity(line, quantity);
+
+    this.#sendUpdate(
+      (options) => cartStore.change({ line, quantity }, options),
+      { errorKey, quantity, rollback },
+      cartPerformaceUpdateMarker
+    );
+  }
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+  /**
+   * Updates the quantity of a group, changing the quantity of every line in it by the same factor, in a single
+   * `cart/update` request.
+   * @param {string | number} group - The group id.
+   * @param {number} quantity - The new quantity of the group.
+   */
+  updateGroupQuantity(group, quantity) {
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(
+      `${quantity === 0 ? 'clear' : 'change'}:user-action`
+    );
+
+    const groupRow = this.#getGroupRow(group);
+    const memberRows = this.#getGroupMembers(group);
+    const groupPrice = /** @type {TextComponent | null | undefined} */ (
+      groupRow?.querySelector('.cart-items__price text-component')
+    );
+    const previousQuantity = Number(groupRow?.dataset.quantity) || 1;
+    const rollbacks = groupPrice ? [snapshotPrice(groupPrice)] : [];
+
+    /** @type {Record<string, number>} */
+    const updates = {};
+
+    for (const row of memberRows) {
+      const lineQuantity =
+        quantity === 0 ? 0 : Math.max(1, Math.round((Number(row.dataset.quantity) * quantity) / previousQuantity));
+
+      updates[row.dataset.key ?? ''] = lineQuantity;
+      rollbacks.push(this.#showQuantity(Number(row.dataset.line), lineQuantity));
+    }
 
-        resetShimmer(this);
+    if (groupRow) groupRow.dataset.quantity = String(quantity);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
+    if (groupPrice) {
+      const { cartItemPrices = [] } = this.refs;
+      const total = cartItemPrices
+        .filter((price) => memberRows.some((row) => row.contains(price)))
+        .reduce((sum, price) => sum + Number(price.dataset.cents || 0), 0);
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
+      showPrice(groupPrice, total);
+    }
 
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+    this.#sendUpdate(
+      (options) => cartStore.update({ updates }, options),
+      {
+        errorKey: `group-${group}`,
+        quantity,
+        rollback: () => {
+          if (groupRow) groupRow.dataset.quantity = String(previousQuantity);
+          rollbacks.reverse().forEach((rollback) => rollback());
+        },
+      },
+      cartPerformaceUpdateMarker
+    );
+  }
 
+  /**
+   * Sends a quantity update shown ahead of the response, reconciling the cart once every pending update is done.
+   * @param {(options: CartMutationOptions) => Promise<CartMutationResult>} request - Sends the update.
+   * @param {{ errorKey: string, quantity: number, rollback: () => void }} update - How to report and
+   * roll back the update if the cart rejects it.
+   * @param {PerformanceMark} marker - The performance marker of the update.
+   */
+  #sendUpdate(request, update, marker) {
+    this.#pendingUpdates += 1;
+
+    request({
+      sections: this.cartSectionIds,
+      sourceId: this.sectionId,
+      target: this,
+      data: { source: 'cart-items-component' },
+    })
+      .then(({ cart, sections }) => {
         // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
-
-        this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
+        this.#updateQuantitySelectors(cart);
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
-
-        this.#updateCartQuantitySelectorButtonStates();
+        this.#latestSections = sections;
       })
       .catch((error) => {
-        console.error(error);
+        if (!(error instanceof CartError)) console.error(error);
+
+        this.#failedUpdates.push({ ...update, message: error.message });
       })
       .finally(() => {
-        this.#enableCartItems();
-        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+        this.#pendingUpdates -= 1;
+
+        if (this.#pendingUpdates === 0) this.#reconcile().catch((error) => console.error(error));
+
+        cartPerformance.measureFromMarker(marker);
       });
   }
 
+  /**
+   * Shows a quantity change before the cart confirms it, by updating the line total and the cart total.
+   * @param {number} line - The line.
+   * @param {number} quantity - The new quantity.
+   * @returns {() => void} Restores the totals shown before the change.
+   */
+  #showQuantity(line, quantity) {
+    const { cartItemRows, cartItemPrices = [], cartTotal } = this.refs;
+    const row = this.#getRow(line);
+    const linePrice = row && cartItemPrices.find((price) => row.contains(price));
+    const previousQuantity = Number(row?.dataset.quantity);
+    const finalPrice = Number(row?.dataset.finalPrice);
+
+    if (!row || Number.isNaN(previousQuantity) || Number.isNaN(finalPrice)) return () => {};
+
+    const snapshots = [linePrice, cartTotal].filter((element) => element != null).map(snapshotPrice);
+
+    // Removing a line also removes the lines nested in it
+    const nestedRows = cartItemRows.filter((nestedRow) => nestedRow.dataset.parentKey === row.dataset.key);
+    const nestedLineTotal = cartItemPrices
+      .filter((price) => nestedRows.some((nestedRow) => nestedRow.contains(price)))
+      .reduce((total, price) => total + Number(price.dataset.cents || 0), 0);
+    const difference = (quantity - previousQuantity) * finalPrice - (quantity === 0 ? nestedLineTotal : 0);
+
+    row.dataset.quantity = String(quantity);
+    if (linePrice) showPrice(linePrice, quantity * finalPrice);
+    if (cartTotal) showPrice(cartTotal, Number(cartTotal.dataset.cents) + difference);
+
+    return () => {
+      row.dataset.quantity = String(previousQuantity);
+      snapshots.forEach((restore) => restore());
+    };
+  }
+
+  /**
+   * Brings the cart in line with the server once every pending quantity update is done, then reports the
+   * updates the cart rejected.
+   */
+  async #reconcile() {
+    const sectionHTML = this.#latestSections?.[this.sectionId];
+    const failedUpdates = this.#failedUpdates;
+
+    this.#latestSections = null;
+    this.#failedUpdates = [];
+
+    if (sectionHTML) {
+      // The latest response already reflects the rejected updates
+      await morphSection(this.sectionId, sectionHTML);
+    } else if (failedUpdates.some(({ quantity }) => quantity === 0)) {
+      // Removed rows can't be restored in place, so render them again
+      await sectionRenderer.renderSections(this.cartSectionIds, { cache: false });
+    } else {
+      failedUpdates.reverse().forEach(({ rollback }) => rollback());
+    }
+
+    resetShimmer(this);
+    this.#updateCartQuantitySelectorButtonStates();
+
+    for (const { errorKey, message } of failedUpdates) {
+      this.#handleCartError(errorKey, { errors: message });
+    }
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -189,24 +569,22 @@ class CartItemsComponent extends Component {
   };
 
   /**
-   * Handles the cart error.
-   * @param {number} line - The line.
+   * Handles the cart error, unless the row it belongs to is no longer in the cart.
+   * @param {string} key - The line item key, or `group-<id>` for a group.
    * @param {Object} parsedResponseText - The parsed response text.
    * @param {string} parsedResponseText.errors - The errors.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
+  #handleCartError = (key, parsedResponseText) => {
+    const cartItemError = this.refs[`cartItemError-${key}`];
+    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${key}`];
 
-    if (!quantityInput) throw new Error('Quantity input not found');
+    // The row may be gone once the cart is rendered again, e.g. when another update removed it
+    if (!(cartItemError instanceof HTMLElement) || !(cartItemErrorContainer instanceof HTMLElement)) return;
 
-    quantityInput.value = quantityInput.defaultValue;
+    // The quantity selector is in the row of the error
+    const quantityInput = cartItemErrorContainer.closest('tr')?.querySelector('.quantity-selector input');
 
-    const cartItemError = this.refs[`cartItemError-${line}`];
-    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
-
-    if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
-    if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
+    if (quantityInput instanceof HTMLInputElement) quantityInput.value = quantityInput.defaultValue;
 
     cartItemError.textContent = parsedResponseText.errors;
     cartItemErrorContainer.classList.remove('hidden');
@@ -219,7 +597,7 @@ class CartItemsComponent extends Component {
    */
   #handleCartUpdate = (event) => {
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      sectionRenderer.renderSections(this.cartSectionIds, { cache: false });
       return;
     }
     if (event.target === this) return;
@@ -231,24 +609,10 @@ class CartItemsComponent extends Component {
       // Update button states for all cart quantity selectors after morph
       this.#updateCartQuantitySelectorButtonStates();
     } else {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      sectionRenderer.renderSections(this.cartSectionIds, { cache: false });
     }
   };
 
-  /**
-   * Disables the cart items.
-   */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
-  }
-
-  /**
-   * Enables the cart items.
-   */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
-  }
-
   /**
    * Updates quantity selectors for all matching variants in the cart.
    * @param {Object} updatedCart - The updated cart object.
@@ -289,6 +653,23 @@ class CartItemsComponent extends Component {
     }
   }
 
+  /**
+   * Gets the ids of every cart items section on the page, starting with this one.
+   * Rendering them together lets concurrent updates share a single request.
+   * @returns {string[]} The section ids.
+   */
+  get cartSectionIds() {
+    const sectionIds = new Set([this.sectionId]);
+
+    for (const item of document.querySelectorAll('cart-items-component')) {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionIds.add(item.dataset.sectionId);
+      }
+    }
+
+    return Array.from(sectionIds);
+  }
+
   /**
    * Gets the section id.
    * @returns {string} The section id.
@@ -302,6 +683,95 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * Shows a price in a text component, formatted with the money format the component was rendered with.
+ * @param {TextComponent} textComponent - The text component.
+ * @param {number} cents - The price in cents.
+ */
+function showPrice(textComponent, cents) {
+  const { moneyFormat, currency = '' } = textComponent.dataset;
+
+  if (!moneyFormat) return textComponent.shimmer();
+
+  const price = formatCents(cents, moneyFormat, currency);
+
+  textComponent.dataset.cents = String(cents);
+  textComponent.setAttribute('value', price);
+  textComponent.textContent = price;
+  textComponent.shimmer();
+}
+
+/**
+ * Captures the price shown by a text component.
+ * @param {TextComponent} textComponent - The text component.
+ * @returns {() => void} Restores the price.
+ */
+function snapshotPrice(textComponent) {
+  const { cents } = textComponent.dataset;
+  const value = textComponent.getAttribute('value');
+  const text = textComponent.textContent;
+
+  return () => {
+    if (cents != null) textComponent.dataset.cents = cents;
+    if (value != null) textComponent.setAttribute('value', value);
+    textComponent.textContent = text;
+  };
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
+
+/**
+ * Animates cart rows out, then removes them.
+ * @param {HTMLTableRowElement[]} rows - The rows.
+ */
+function animateRemoval(rows) {
+  // Add class to the row to trigger the animation
+  rows.forEach((row) => {
+    const remove = () => row.remove();
+
+    if (prefersReducedMotion()) return remove();
+
+    row.style.setProperty('--row-height', `${row.clientHeight}px`);
+    row.classList.add('removing');
+
+    // Remove the row after the animation ends
+    onAnimationEnd(row, remove);
+  });
+}
+
+/**
+ * Reads the line item of a cart row, as added to the cart.
+ * @param {HTMLTableRowElement} row - The cart row.
+ * @returns {LineItem | null} The line item, or null if the row doesn't describe one.
+ */
+function readLineItem(row) {
+  const id = Number(row.dataset.variant);
+  const quantity = Number(row.dataset.quantity);
+
+  if (!id || !quantity) return null;
+
+  /** @type {LineItem} */
+  const item = { id, quantity };
+
+  if (row.dataset.sellingPlan) item.selling_plan = Number(row.dataset.sellingPlan);
+
+  try {
+    const properties = JSON.parse(row.dataset.properties || 'null');
+    if (properties && Object.keys(properties).length) item.properties = properties;
+  } catch (error) {
+    console.error(error);
+  }
+
+  return item;
+}
+
+/**
+ * Reads the group id of the element an event was declared on.
+ * @param {Event} event - The event, with its target set to the element declaring it.
+ * @returns {string | undefined} The group id.
+ */
+function getGroupId(event) {
+  return event.target instanceof HTMLElement ? event.target.dataset.groupId : undefined;
+}
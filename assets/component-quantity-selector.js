@@ -254,7 +254,9 @@ export class QuantitySelectorComponent extends Component {
     const { quantityInput } = this.refs;
     const newValue = parseInt(quantityInput.value);
 
-    quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine)));
+    quantityInput.dispatchEvent(
+      new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine), quantityInput.dataset.cartGroup)
+    );
   }
 
   /**
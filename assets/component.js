@@ -1,10 +1,41 @@
 import { DeclarativeShadowElement } from '@theme/critical';
+import { ComponentUpdatedEvent } from '@theme/events';
 import { requestIdleCallback } from '@theme/utilities';
 
 /**
  * @typedef {Record<string, Element | Element[] | undefined>} Refs
  */
 
+/**
+ * @typedef {string | number | boolean | undefined} PropValue
+ */
+
+/**
+ * @typedef {Record<string, PropValue>} Props
+ */
+
+/**
+ * @typedef {StringConstructor | NumberConstructor | BooleanConstructor} PropType
+ */
+
+/**
+ * @typedef {Object} PropOptions
+ * @property {PropType} type - How the attribute value is parsed
+ * @property {PropValue} [default] - The value used when the attribute is missing or invalid
+ * @property {string} [attribute] - The attribute the prop reflects, the kebab-cased prop name by default
+ */
+
+/**
+ * @typedef {PropType | PropOptions} PropDeclaration
+ */
+
+/**
+ * @typedef {Object} MorphChanges
+ * @property {string[]} addedRefs - The refs that gained elements in the morph
+ * @property {string[]} removedRefs - The refs that lost elements in the morph
+ * @property {string[]} changedAttributes - The attributes of the component that were added, removed or changed
+ */
+
 /**
  * @template {Refs} T
  * @typedef {T & Refs} RefsType
@@ -17,9 +48,24 @@ import { requestIdleCallback } from '@theme/utilities';
  * the refs updated when the DOM changes. Also handles declarative event listeners using.
  *
  * @template {Refs} [T=Refs]
+ * @template {Props} [P=Props]
  * @extends {DeclarativeShadowElement}
  */
 export class Component extends DeclarativeShadowElement {
+  /**
+   * The props of the component, by name, each parsed from and reflected to an attribute.
+   *
+   * @example
+   * static props = { autoplay: Number, infinite: Boolean, initialSlide: { type: Number, default: 0 } };
+   *
+   * @type {Record<string, PropDeclaration>}
+   */
+  static props = {};
+
+  static get observedAttributes() {
+    return Object.entries(this.props).map(([name, declaration]) => getPropAttribute(name, declaration));
+  }
+
   /**
    * An object holding references to child elements with `ref` attributes.
    *
@@ -34,6 +80,27 @@ export class Component extends DeclarativeShadowElement {
    */
   requiredRefs;
 
+  /**
+   * An object holding the values of the props declared in `static props`. Setting a prop updates its attribute.
+   *
+   * @type {P}
+   */
+  get props() {
+    this.#props ??= createProps(this);
+
+    return this.#props;
+  }
+
+  /**
+   * @type {P | undefined}
+   */
+  #props;
+
+  /**
+   * Whether the element is connected, as `propChanged` is only called for connected elements.
+   */
+  #connected = false;
+
   /**
    * Gets the root node of the component, which is either its shadow root or the component itself.
    *
@@ -50,7 +117,9 @@ export class Component extends DeclarativeShadowElement {
    */
   connectedCallback() {
     super.connectedCallback();
-    registerEventListeners();
+    registerEventListeners(this.roots);
+
+    this.#connected = true;
 
     this.#updateRefs();
 
@@ -67,23 +136,105 @@ export class Component extends DeclarativeShadowElement {
     });
   }
 
+  /**
+   * The refs and attributes before the element is re-rendered, used to describe what the re-render changed.
+   *
+   * @type {{ refs: Refs, attributes: Map<string, string> } | undefined}
+   */
+  #morphSnapshot;
+
+  /**
+   * Called when the element is about to be re-rendered by the Section Rendering API.
+   *
+   * @param {Element} newElement - The element holding the new markup.
+   */
+  updatingCallback(newElement) {
+    this.#morphSnapshot ??= { refs: this.refs, attributes: getAttributes(this) };
+    this.beforeMorph(newElement);
+  }
+
   /**
    * Called when the element is re-rendered by the Section Rendering API.
+   *
+   * Updates the refs, then notifies `afterMorph` and listeners of `component:updated` of what changed.
    */
   updatedCallback() {
+    const { refs, attributes } = this.#morphSnapshot ?? { refs: this.refs, attributes: getAttributes(this) };
+    this.#morphSnapshot = undefined;
+
     this.#mutationObserver.takeRecords();
     this.#updateRefs();
+    registerElementEventAttributes(this);
+
+    /** @type {MorphChanges} */
+    const changes = {
+      ...diffRefs(refs, this.refs),
+      changedAttributes: diffAttributes(attributes, getAttributes(this)),
+    };
+
+    this.afterMorph(changes);
+    this.dispatchEvent(new ComponentUpdatedEvent(changes));
   }
 
+  /**
+   * Hook called before the element is morphed into new markup. Override it to hold on to state the morph would
+   * otherwise overwrite.
+   *
+   * @param {Element} newElement - The element holding the new markup.
+   */
+  beforeMorph(newElement) {}
+
+  /**
+   * Hook called after the element is morphed into new markup, once the refs are up to date.
+   *
+   * @param {MorphChanges} changes - A summary of what the morph changed.
+   */
+  afterMorph(changes) {}
+
   /**
    * Called when the element is disconnected from the document's DOM.
    *
    * Disconnects the mutation observer.
    */
   disconnectedCallback() {
+    this.#connected = false;
     this.#mutationObserver.disconnect();
   }
 
+  /**
+   * Called when an attribute in `observedAttributes` changes.
+   *
+   * Calls `propChanged` when the attribute of a prop changes its value.
+   *
+   * @param {string} name - The attribute name.
+   * @param {string | null} oldValue - The previous attribute value.
+   * @param {string | null} newValue - The new attribute value.
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.#connected) return;
+
+    const { props } = /** @type {typeof Component} */ (this.constructor);
+
+    for (const [prop, declaration] of Object.entries(props)) {
+      if (getPropAttribute(prop, declaration) !== name) continue;
+
+      const previousValue = parseProp(declaration, oldValue);
+      const value = parseProp(declaration, newValue);
+
+      if (previousValue !== value) this.propChanged(prop, previousValue, value);
+    }
+  }
+
+  /**
+   * Hook called when a prop changes while the element is connected, e.g. when it is set or morphed.
+   * Props are read on connection, so changes before then don't call it.
+   *
+   * @param {string} name - The prop name.
+   * @param {PropValue} oldValue - The previous value.
+   * @param {PropValue} newValue - The new value.
+   */
+  propChanged(name, oldValue, newValue) {}
+
   /**
    * Updates the `refs` object by querying all descendant elements with `ref` attributes and storing references to them.
    *
@@ -152,6 +303,122 @@ export class Component extends DeclarativeShadowElement {
   #isDescendant = (node) => getClosestComponent(getAncestor(node)) === this;
 }
 
+/**
+ * Gets the attributes of an element.
+ *
+ * @param {Element} element - The element.
+ * @returns {Map<string, string>} The attribute values by name.
+ */
+function getAttributes(element) {
+  return new Map(Array.from(element.attributes, ({ name, value }) => [name, value]));
+}
+
+/**
+ * Lists the attributes that differ between two sets of attributes.
+ *
+ * @param {Map<string, string>} previousAttributes - The attributes before the morph.
+ * @param {Map<string, string>} attributes - The attributes after the morph.
+ * @returns {string[]} The names of the added, removed or changed attributes.
+ */
+function diffAttributes(previousAttributes, attributes) {
+  const names = new Set([...previousAttributes.keys(), ...attributes.keys()]);
+
+  return Array.from(names).filter((name) => previousAttributes.get(name) !== attributes.get(name));
+}
+
+/**
+ * Lists the refs that gained or lost elements between two sets of refs.
+ *
+ * @param {Refs} previousRefs - The refs before the morph.
+ * @param {Refs} refs - The refs after the morph.
+ * @returns {{ addedRefs: string[], removedRefs: string[] }} The names of the refs that gained or lost elements.
+ */
+function diffRefs(previousRefs, refs) {
+  /** @type {string[]} */
+  const addedRefs = [];
+  /** @type {string[]} */
+  const removedRefs = [];
+
+  for (const name of new Set([...Object.keys(previousRefs), ...Object.keys(refs)])) {
+    const previousElements = [previousRefs[name] ?? []].flat();
+    const elements = [refs[name] ?? []].flat();
+
+    if (elements.some((element) => !previousElements.includes(element))) addedRefs.push(name);
+    if (previousElements.some((element) => !elements.includes(element))) removedRefs.push(name);
+  }
+
+  return { addedRefs, removedRefs };
+}
+
+/**
+ * Gets the attribute a prop reflects.
+ *
+ * @param {string} name - The prop name.
+ * @param {PropDeclaration} declaration - The prop declaration.
+ * @returns {string} The attribute name.
+ */
+function getPropAttribute(name, declaration) {
+  if ('attribute' in declaration && declaration.attribute) return declaration.attribute;
+
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Parses an attribute value into the value of a prop.
+ *
+ * Boolean props are true when the attribute is present, unless its value is `false`. Number props fall back
+ * to their default when the value isn't a number.
+ *
+ * @param {PropDeclaration} declaration - The prop declaration.
+ * @param {string | null} value - The attribute value.
+ * @returns {PropValue} The prop value.
+ */
+function parseProp(declaration, value) {
+  const { type, default: defaultValue } =
+    'type' in declaration ? declaration : { type: declaration, default: undefined };
+
+  if (type === Boolean) return value == null ? Boolean(defaultValue) : value !== 'false';
+  if (value == null) return defaultValue;
+  if (type === Number) {
+    const number = parseFloat(value);
+
+    return Number.isNaN(number) ? defaultValue : number;
+  }
+
+  return value;
+}
+
+/**
+ * Creates the props object of a component, with accessors reading and reflecting the attributes of its props.
+ *
+ * @template {Props} P
+ * @param {Component<Refs, P>} component - The component.
+ * @returns {P} The props object.
+ */
+function createProps(component) {
+  const { props } = /** @type {typeof Component} */ (component.constructor);
+  const object = {};
+
+  for (const [name, declaration] of Object.entries(props)) {
+    const attribute = getPropAttribute(name, declaration);
+
+    Object.defineProperty(object, name, {
+      enumerable: true,
+      get: () => parseProp(declaration, component.getAttribute(attribute)),
+      /** @param {PropValue} value */
+      set: (value) => {
+        if (value == null || (value === false && parseProp(declaration, null) === false)) {
+          component.removeAttribute(attribute);
+        } else {
+          component.setAttribute(attribute, value === true ? '' : String(value));
+        }
+      },
+    });
+  }
+
+  return /** @type {P} */ (object);
+}
+
 /**
  * Get the ancestor of a given node.
  *
@@ -184,99 +451,314 @@ function getClosestComponent(node) {
   return null;
 }
 
+/**
+ * The events listened to from the start, as they are used throughout the theme.
+ */
+const DEFAULT_EVENTS = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
+
+/**
+ * Events that don't bubble but are delegated to the closest element declaring them anyway.
+ */
+const SHOULD_BUBBLE_EVENTS = ['focus', 'blur'];
+
+/**
+ * Events that are only handled by the element that declares them, as they fire for every element under the pointer.
+ */
+const EXPENSIVE_EVENTS = ['pointerenter', 'pointerleave'];
+
+/**
+ * Modifiers that change how a declared event is handled, e.g. `on:click.outside.once`.
+ * Any other modifier filters keyboard events by key, e.g. `on:keydown.escape`.
+ */
+const EVENT_MODIFIERS = ['once', 'prevent', 'outside', 'document'];
+
+/**
+ * Key modifiers that don't match the lowercased `KeyboardEvent.key` they stand for.
+ *
+ * @type {Record<string, string[]>}
+ */
+const KEY_MODIFIERS = {
+  space: [' '],
+  up: ['arrowup'],
+  down: ['arrowdown'],
+  left: ['arrowleft'],
+  right: ['arrowright'],
+  delete: ['delete', 'backspace'],
+  esc: ['escape'],
+};
+
+/**
+ * The declarative event attributes found in the document, by event type.
+ *
+ * @type {Map<string, Set<string>>}
+ */
+const eventAttributes = new Map();
+
+/**
+ * The attributes of each element whose `.once` handler already ran.
+ *
+ * @type {WeakMap<Element, Set<string>>}
+ */
+const handledOnce = new WeakMap();
+
+/**
+ * The document and component shadow roots whose event attributes are registered.
+ *
+ * @type {WeakSet<Node>}
+ */
+const observedRoots = new WeakSet();
+
+/**
+ * Registers the event attributes of elements added to the observed roots, so only new markup is scanned rather than
+ * every component subtree on each connect and morph. Attribute changes aren't observed, as they'd include every class
+ * and style change on the page.
+ */
+const eventAttributesObserver = new MutationObserver(registerMutatedEventAttributes);
+
 /**
  * Initializes the event listeners for custom event handling.
  *
- * Sets up event listeners for specified events and delegates the handling of those events
- * to methods defined on the closest `Component` instance, based on custom attributes.
+ * Sets up a delegated listener for every event declared with an `on:` attribute, e.g. `on:click="/open"`,
+ * `on:keydown.escape="/close"` or `on:cart:update.document="/render"`, and dispatches the events to methods
+ * defined on the closest `Component` instance, based on those attributes.
+ *
+ * The document and each shadow root are scanned once, when the first component in them connects. From then on,
+ * the attributes of the elements added to them are registered as they are inserted, whether they're parsed,
+ * morphed in or inserted by scripts. An `on:` attribute added to an element already in the page only works for
+ * event types that are already in use, except on components, whose own attributes are registered after a morph.
+ *
+ * @param {(ShadowRoot | Element)[]} roots - The roots of the component.
  */
-let initialized = false;
+function registerEventListeners(roots) {
+  if (eventAttributes.size === 0) {
+    for (const eventName of [...DEFAULT_EVENTS, ...EXPENSIVE_EVENTS]) {
+      registerEventAttribute(`on:${eventName}`);
+    }
+  }
 
-function registerEventListeners() {
-  if (initialized) return;
-  initialized = true;
+  for (const root of roots) {
+    const observedRoot = root instanceof ShadowRoot ? root : document;
 
-  const events = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
-  const shouldBubble = ['focus', 'blur'];
-  const expensiveEvents = ['pointerenter', 'pointerleave'];
+    if (root instanceof Element) registerElementEventAttributes(root);
+    if (observedRoots.has(observedRoot)) continue;
 
-  for (const eventName of [...events, ...expensiveEvents]) {
-    const attribute = `on:${eventName}`;
+    observedRoots.add(observedRoot);
+    eventAttributesObserver.observe(observedRoot, { childList: true, subtree: true });
+    registerTreeEventAttributes(observedRoot);
+  }
+}
 
-    document.addEventListener(
-      eventName,
-      (event) => {
-        const element = getElement(event);
+/**
+ * Registers the event attributes of the elements added to the observed roots.
+ *
+ * @param {MutationRecord[]} mutations - The mutations of the observed roots.
+ */
+function registerMutatedEventAttributes(mutations) {
+  for (const mutation of mutations) {
+    for (const node of mutation.addedNodes) {
+      if (node instanceof Element) registerTreeEventAttributes(node);
+    }
+  }
+}
 
-        if (!element) return;
+/**
+ * Registers the event attributes of every element in a tree.
+ *
+ * @param {Node} root - The root of the tree.
+ */
+function registerTreeEventAttributes(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
 
-        const proxiedEvent =
-          event.target !== element
-            ? new Proxy(event, {
-                get(target, property) {
-                  if (property === 'target') return element;
+  for (let node = root instanceof Element ? root : walker.nextNode(); node; node = walker.nextNode()) {
+    if (node instanceof Element) registerElementEventAttributes(node);
+  }
+}
 
-                  const value = Reflect.get(target, property);
+/**
+ * Registers the event attributes of an element.
+ *
+ * @param {Element} element - The element.
+ */
+function registerElementEventAttributes(element) {
+  for (const name of element.getAttributeNames()) {
+    if (name.startsWith('on:')) registerEventAttribute(name);
+  }
+}
+
+/**
+ * Registers an event attribute, listening to its event type if it is the first of its kind.
+ *
+ * @param {string} name - The attribute name, e.g. `on:keydown.escape`.
+ */
+function registerEventAttribute(name) {
+  const { type } = parseEventAttribute(name);
+  let attributes = eventAttributes.get(type);
+
+  if (!attributes) {
+    attributes = new Set();
+    eventAttributes.set(type, attributes);
+    document.addEventListener(type, handleEvent, { capture: true });
+  }
+
+  attributes.add(name);
+}
+
+/**
+ * Parses an event attribute name into its event type and modifiers.
+ * Event types can contain colons, like the theme events, so only dots separate the modifiers.
+ *
+ * @param {string} name - The attribute name, e.g. `on:cart:update.document`.
+ * @returns {{ type: string, modifiers: string[] }} The event type and modifiers.
+ */
+function parseEventAttribute(name) {
+  const [type = '', ...modifiers] = name.slice('on:'.length).split('.');
 
-                  if (typeof value === 'function') {
-                    return value.bind(target);
-                  }
+  return { type, modifiers };
+}
 
-                  return value;
-                },
-              })
-            : event;
+/**
+ * Dispatches an event to the handlers declared for it.
+ *
+ * The closest element in the event path that declares the event handles it. Handlers declared with `.outside`
+ * run for events from anywhere but within their element, and handlers declared with `.document` for events
+ * from anywhere.
+ *
+ * @param {Event} event - The event.
+ */
+function handleEvent(event) {
+  const attributes = eventAttributes.get(event.type);
 
-        const value = element.getAttribute(attribute) ?? '';
-        let [selector, method] = value.split('/');
-        // Extract the last segment of the attribute value delimited by `?` or `/`
-        // Do not use lookback for Safari 16.0 compatibility
-        const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
-        const data = matches ? matches[2] : null;
-        const instance = selector
-          ? selector.startsWith('#')
-            ? document.querySelector(selector)
-            : element.closest(selector)
-          : getClosestComponent(element);
+  if (!attributes) return;
 
-        if (!(instance instanceof Component) || !method) return;
+  const path = /** @type {Element[]} */ (event.composedPath().filter((node) => node instanceof Element));
+  const delegates =
+    !EXPENSIVE_EVENTS.includes(event.type) && (event.bubbles || SHOULD_BUBBLE_EVENTS.includes(event.type))
+      ? path
+      : path.slice(0, 1);
 
-        method = method.replace(/\?.*/, '');
+  /** @type {string[]} */
+  const globalAttributes = [];
+  /** @type {string[]} */
+  const delegatedAttributes = [];
 
-        const callback = /** @type {any} */ (instance)[method];
+  for (const name of attributes) {
+    const { modifiers } = parseEventAttribute(name);
+    const isGlobal = modifiers.includes('outside') || modifiers.includes('document');
 
-        if (typeof callback === 'function') {
-          try {
-            /** @type {(Event | Data)[]} */
-            const args = [proxiedEvent];
+    (isGlobal ? globalAttributes : delegatedAttributes).push(name);
+  }
 
-            if (data) args.unshift(parseData(data));
+  for (const element of delegates) {
+    const names = delegatedAttributes.filter((name) => element.hasAttribute(name) && matchesKey(name, event));
 
-            callback.call(instance, ...args);
-          } catch (error) {
-            console.error(error);
-          }
-        }
-      },
-      { capture: true }
-    );
+    if (!names.length) continue;
+
+    for (const name of names) callHandler(element, name, event);
+    break;
   }
 
-  /** @param {Event} event */
-  function getElement(event) {
-    const target = event.composedPath?.()[0] ?? event.target;
+  for (const name of globalAttributes) {
+    if (!matchesKey(name, event)) continue;
 
-    if (!(target instanceof Element)) return;
+    const isOutside = parseEventAttribute(name).modifiers.includes('outside');
 
-    if (target.hasAttribute(`on:${event.type}`)) {
-      return target;
-    }
+    for (const element of document.querySelectorAll(`[${CSS.escape(name)}]`)) {
+      if (isOutside && path.includes(element)) continue;
 
-    if (expensiveEvents.includes(event.type)) {
-      return null;
+      callHandler(element, name, event);
     }
+  }
+}
+
+/**
+ * Checks if an event matches the key modifiers of an event attribute.
+ *
+ * @param {string} name - The attribute name.
+ * @param {Event} event - The event.
+ * @returns {boolean} Whether the event matches, always true when there are no key modifiers.
+ */
+function matchesKey(name, event) {
+  const keys = parseEventAttribute(name).modifiers.filter((modifier) => !EVENT_MODIFIERS.includes(modifier));
+
+  if (!keys.length) return true;
+  if (!(event instanceof KeyboardEvent)) return false;
+
+  const key = event.key.toLowerCase();
+
+  return keys.some((modifier) => (KEY_MODIFIERS[modifier] ?? [modifier]).includes(key));
+}
+
+/**
+ * Calls the component method an event attribute points to.
+ *
+ * Delegated handlers receive the event with its `target` set to the element declaring the event, while
+ * `.outside` and `.document` handlers receive the original event.
+ *
+ * @param {Element} element - The element declaring the event.
+ * @param {string} name - The attribute name.
+ * @param {Event} event - The event.
+ */
+function callHandler(element, name, event) {
+  const { modifiers } = parseEventAttribute(name);
+  const isGlobal = modifiers.includes('outside') || modifiers.includes('document');
+
+  const value = element.getAttribute(name) ?? '';
+  let [selector, method] = value.split('/');
+  // Extract the last segment of the attribute value delimited by `?` or `/`
+  // Do not use lookback for Safari 16.0 compatibility
+  const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
+  const data = matches ? matches[2] : null;
+  const instance = selector
+    ? selector.startsWith('#')
+      ? document.querySelector(selector)
+      : element.closest(selector)
+    : getClosestComponent(element);
+
+  if (!(instance instanceof Component) || !method) return;
+
+  method = method.replace(/\?.*/, '');
+
+  const callback = /** @type {any} */ (instance)[method];
+
+  if (typeof callback !== 'function') return;
+
+  if (modifiers.includes('once')) {
+    const handledAttributes = handledOnce.get(element) ?? new Set();
+
+    if (handledAttributes.has(name)) return;
+
+    handledAttributes.add(name);
+    handledOnce.set(element, handledAttributes);
+  }
+
+  if (modifiers.includes('prevent')) event.preventDefault();
+
+  const proxiedEvent =
+    !isGlobal && event.target !== element
+      ? new Proxy(event, {
+          get(target, property) {
+            if (property === 'target') return element;
+
+            const value = Reflect.get(target, property);
+
+            if (typeof value === 'function') {
+              return value.bind(target);
+            }
+
+            return value;
+          },
+        })
+      : event;
+
+  try {
+    /** @type {(Event | Data)[]} */
+    const args = [proxiedEvent];
+
+    if (data) args.unshift(parseData(data));
 
-    return event.bubbles || shouldBubble.includes(event.type) ? target.closest(`[on\\:${event.type}]`) : null;
+    callback.call(instance, ...args);
+  } catch (error) {
+    console.error(error);
   }
 }
 
@@ -26,6 +26,10 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when a section fails to render */
+  static sectionRenderError = 'section:render-error';
+  /** @static @constant {string} Event triggered when a component is re-rendered */
+  static componentUpdated = 'component:updated';
 }
 
 /**
@@ -57,6 +61,8 @@ export class VariantUpdateEvent extends Event {
    * @param {string} resource.id - The id of the variant
    * @param {boolean} resource.available - Whether the variant is available
    * @param {boolean} resource.inventory_management - Whether the variant has inventory management
+   * @param {string} [resource.title] - The title of the variant
+   * @param {string | null} [resource.sku] - The SKU of the variant
    * @param {Object} [resource.featured_media] - The featured media of the variant
    * @param {string} [resource.featured_media.id] - The id of the featured media
    * @param {Object} [resource.featured_media.preview_image] - The preview image of the featured media
@@ -68,6 +74,8 @@ export class VariantUpdateEvent extends Event {
    * @param {Object} [data.newProduct] - If a new product was loaded as part of the variant update (combined listing)
    * @param {string} data.newProduct.id - The id of the new product
    * @param {string} data.newProduct.url - The url of the new product
+   * @param {boolean} [data.partial] - Whether the html only holds the parts rendered in the browser, such as the price,
+   * ahead of another update with the html rendered by the server
    */
   constructor(resource, sourceId, data) {
     super(ThemeEvents.variantUpdate, { bubbles: true });
@@ -78,6 +86,7 @@ export class VariantUpdateEvent extends Event {
         html: data.html,
         productId: data.productId,
         newProduct: data.newProduct,
+        partial: data.partial ?? false,
       },
     };
   }
@@ -177,12 +186,14 @@ export class QuantitySelectorUpdateEvent extends Event {
    * Creates a new QuantitySelectorUpdateEvent
    * @param {number} quantity - Quantity value
    * @param {number} [cartLine] - The id of the updated cart line
+   * @param {string} [cartGroup] - The id of the updated cart line group
    */
-  constructor(quantity, cartLine) {
+  constructor(quantity, cartLine, cartGroup) {
     super(ThemeEvents.quantitySelectorUpdate, { bubbles: true });
     this.detail = {
       quantity,
       cartLine,
+      cartGroup,
     };
   }
 }
@@ -287,3 +298,44 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event class for section rendering failures
+ * @extends {Event}
+ */
+export class SectionRenderErrorEvent extends Event {
+  /**
+   * Creates a new SectionRenderErrorEvent
+   * @param {string} sectionId - The id of the section that failed to render
+   * @param {unknown} error - The error that made the render fail
+   * @param {number | null} status - The response status, or null when no response was received
+   */
+  constructor(sectionId, error, status) {
+    super(ThemeEvents.sectionRenderError, { bubbles: true });
+    this.detail = {
+      sectionId,
+      error,
+      status,
+    };
+  }
+}
+
+/**
+ * Event class for component re-renders
+ * @extends {Event}
+ */
+export class ComponentUpdatedEvent extends Event {
+  /**
+   * Creates a new ComponentUpdatedEvent
+   * @param {Object} changes - What the re-render changed
+   * @param {string[]} changes.addedRefs - The refs that gained elements
+   * @param {string[]} changes.removedRefs - The refs that lost elements
+   * @param {string[]} changes.changedAttributes - The attributes of the component that changed
+   */
+  constructor(changes) {
+    super(ThemeEvents.componentUpdated, { bubbles: true });
+    this.detail = {
+      ...changes,
+    };
+  }
+}
@@ -24,6 +24,7 @@ declare global {
     routes: {
       cart_add_url: string;
       cart_change_url: string;
+      cart_clear_url: string;
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
@@ -73,5 +74,12 @@ declare global {
   // Device Memory API - https://developer.mozilla.org/en-US/docs/Web/API/Navigator/deviceMemory
   interface Navigator {
     readonly deviceMemory?: number;
+    readonly connection?: NetworkInformation;
+  }
+
+  // Network Information API - https://developer.mozilla.org/en-US/docs/Web/API/NetworkInformation
+  interface NetworkInformation {
+    readonly saveData?: boolean;
+    readonly effectiveType?: 'slow-2g' | '2g' | '3g' | '4g';
   }
 }
@@ -13,9 +13,16 @@ const ANIMATION_OPTIONS = {
  * @property {HTMLElement} content - The content element.
  * @property {HTMLElement[]} marqueeItems - The marquee items collection.
  *
- * @extends Component<Refs>
+ * @typedef {object} Props
+ * @property {number} speedFactor - The factor the marquee speed is scaled by.
+ *
+ * @extends Component<Refs, Props>
  */
 class MarqueeComponent extends Component {
+  static props = {
+    speedFactor: { type: Number, default: 0, attribute: 'data-speed-factor' },
+  };
+
   requiredRefs = ['wrapper', 'content', 'marqueeItems'];
 
   connectedCallback() {
@@ -33,6 +40,15 @@ class MarqueeComponent extends Component {
     this.addEventListener('pointerleave', this.#speedUp);
   }
 
+  /**
+   * @param {string} name
+   */
+  propChanged(name) {
+    if (name === 'speedFactor' && this.refs.marqueeItems.length) {
+      this.#setSpeed();
+    }
+  }
+
   disconnectedCallback() {
     super.disconnectedCallback();
     window.removeEventListener('resize', this.#handleResize);
@@ -96,7 +112,7 @@ class MarqueeComponent extends Component {
   }
 
   #calculateSpeed() {
-    const speedFactor = Number(this.getAttribute('data-speed-factor'));
+    const { speedFactor } = this.props;
     const { marqueeItems } = this.refs;
     const marqueeWidth = this.offsetWidth;
 
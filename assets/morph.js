@@ -9,12 +9,33 @@ import { Component } from '@theme/component';
  * @property {(oldNode: Node, newNode: Node) => boolean} [reject] - Reject a node from being morphed
  */
 
+/**
+ * The attributes that identify an element among its siblings, in order of precedence
+ */
+const KEY_ATTRIBUTES = ['key', 'id'];
+
 /**
  * The options for the morph
  * @type {Options}
  */
 const MORPH_OPTIONS = {
   childrenOnly: true,
+  getNodeKey(node) {
+    if (!(node instanceof Element)) return undefined;
+
+    // Lists can opt in to keying their items by other attributes, e.g. `data-morph-key="data-product-id"`. It's
+    // left to them as attributes like `data-variant-id` change along with the selected variant.
+    const listKeyAttributes = node.parentElement?.getAttribute('data-morph-key')?.split(/\s+/).filter(Boolean) ?? [];
+
+    for (const attribute of [...KEY_ATTRIBUTES, ...listKeyAttributes]) {
+      const value = node.getAttribute(attribute);
+
+      // Prefix with the attribute name so an id never matches a product or variant id
+      if (value) return `${attribute}:${value}`;
+    }
+
+    return undefined;
+  },
   reject(oldNode, newNode) {
     if (newNode.nodeType === Node.TEXT_NODE && newNode.nodeValue?.trim() === '') {
       return true;
@@ -41,9 +62,8 @@ const MORPH_OPTIONS = {
   },
   onBeforeUpdate(oldNode, newNode) {
     if (oldNode instanceof Element && newNode instanceof Element) {
-      const attributes = ['product-grid-view', 'data-current-checked', 'data-previous-checked'];
-
-      for (const attribute of attributes) {
+      // Keep the attributes declared with `data-morph-preserve`, e.g. state set by scripts after the initial render
+      for (const attribute of getPreservedAttributes(oldNode, newNode)) {
         const oldValue = oldNode.getAttribute(attribute);
         const newValue = newNode.getAttribute(attribute);
 
@@ -52,27 +72,14 @@ const MORPH_OPTIONS = {
         }
       }
 
-      // Special case for elements that need to keep their style
-      const elements = ['floating-panel-component', 'fieldset.variant-option'];
-      const ids = ['account-popover'];
-
-      for (const element of elements) {
-        if (oldNode.matches(element) && newNode.matches(element)) {
-          const oldStyle = oldNode.getAttribute('style');
-          if (oldStyle) newNode.setAttribute('style', oldStyle);
-        }
-      }
-      for (const id of ids) {
-        if (oldNode.id === id && newNode.id === id) {
-          const oldStyle = oldNode.getAttribute('style');
-          if (oldStyle) newNode.setAttribute('style', oldStyle);
-        }
-      }
-
       // Preserve temporary view transition name
       if (oldNode instanceof HTMLElement && newNode instanceof HTMLElement && oldNode.style.viewTransitionName) {
         newNode.style.viewTransitionName = oldNode.style.viewTransitionName;
       }
+
+      if (oldNode instanceof Component) {
+        oldNode.updatingCallback(newNode);
+      }
     }
   },
   onAfterUpdate(node) {
@@ -82,6 +89,19 @@ const MORPH_OPTIONS = {
   },
 };
 
+/**
+ * Gets the attributes an element declares should keep their current value when morphed.
+ * Declared in markup as a space-separated list, e.g. `data-morph-preserve="style data-current-checked"`.
+ * @param {Element} oldNode - The existing element
+ * @param {Element} newNode - The new element
+ * @returns {string[]} The names of the attributes to preserve
+ */
+function getPreservedAttributes(oldNode, newNode) {
+  const value = newNode.getAttribute('data-morph-preserve') ?? oldNode.getAttribute('data-morph-preserve');
+
+  return value?.split(/\s+/).filter(Boolean) ?? [];
+}
+
 /**
  * Morphs one DOM tree into another by comparing nodes and applying minimal changes
  * @param {Node} oldTree - The existing DOM tree
@@ -102,16 +122,154 @@ export function morph(oldTree, newTree, options = MORPH_OPTIONS) {
     newTree = parsedNewTree;
   }
 
+  if (!options.childrenOnly && newTree.nodeType === 11) {
+    throw new Error('newTree should have one root node (not a DocumentFragment)');
+  }
+
+  const focusState = captureFocus(oldTree);
+
+  let morphedTree = oldTree;
+
   if (options.childrenOnly) {
     updateChildren(newTree, oldTree, options);
-    return oldTree;
+  } else {
+    morphedTree = walk(newTree, oldTree, options);
   }
 
-  if (newTree.nodeType === 11) {
-    throw new Error('newTree should have one root node (not a DocumentFragment)');
+  if (focusState) restoreFocus(focusState, morphedTree);
+
+  return morphedTree;
+}
+
+/**
+ * Form fields the shopper has edited. Their value and checked state win over the new markup until the markup
+ * catches up with them, or marks itself as authoritative with `data-morph-authoritative`.
+ * @type {WeakSet<Element>}
+ */
+const editedFields = new WeakSet();
+
+/**
+ * Input types whose state is owned by the markup or by scripts, rather than typed in by the shopper
+ */
+const UNTRACKED_INPUT_TYPES = ['radio', 'hidden', 'file', 'submit', 'button', 'reset', 'image'];
+
+/**
+ * Marks the form field an input or change event comes from as edited, if the shopper triggered it
+ * @param {Event} event - The input or change event
+ */
+function trackEditedField(event) {
+  const field = event.composedPath()[0];
+
+  if (!event.isTrusted) return;
+
+  if (
+    field instanceof HTMLTextAreaElement ||
+    field instanceof HTMLSelectElement ||
+    (field instanceof HTMLInputElement && !UNTRACKED_INPUT_TYPES.includes(field.type))
+  ) {
+    editedFields.add(field);
+  }
+}
+
+document.addEventListener('input', trackEditedField, { capture: true });
+document.addEventListener('change', trackEditedField, { capture: true });
+
+/**
+ * Checks if a form field should keep the shopper's edits instead of taking the state of the new markup
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} newNode - The new form field
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} oldNode - The existing form field
+ * @returns {boolean} Whether the existing state should be kept
+ */
+function keepsEdits(newNode, oldNode) {
+  if (!editedFields.has(oldNode)) return false;
+
+  const isInSync =
+    newNode.value === oldNode.value &&
+    (!(newNode instanceof HTMLInputElement) || newNode.checked === /** @type {HTMLInputElement} */ (oldNode).checked);
+
+  if (isInSync || newNode.hasAttribute('data-morph-authoritative')) {
+    editedFields.delete(oldNode);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * @typedef {Object} FocusState
+ * @property {Element} element - The focused element
+ * @property {number | null} selectionStart - The start of the text selection
+ * @property {number | null} selectionEnd - The end of the text selection
+ * @property {'forward' | 'backward' | 'none' | null} selectionDirection - The direction of the text selection
+ */
+
+/**
+ * Captures the focused element within a tree, along with its text selection
+ * @param {Node} tree - The tree about to be morphed
+ * @returns {FocusState | null} The focus state, if the focus is within the tree
+ */
+function captureFocus(tree) {
+  const element = document.activeElement;
+
+  if (!element || element === document.body || !tree.contains(element)) return null;
+
+  const hasSelection = element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement;
+
+  return {
+    element,
+    selectionStart: hasSelection ? element.selectionStart : null,
+    selectionEnd: hasSelection ? element.selectionEnd : null,
+    selectionDirection: hasSelection ? element.selectionDirection : null,
+  };
+}
+
+/**
+ * Restores the focus and text selection after a morph. When the focused element was replaced, its counterpart
+ * with the same id or name takes the focus, and the shopper's edits.
+ * @param {FocusState} focusState - The focus state captured before the morph
+ * @param {Node} tree - The morphed tree
+ */
+function restoreFocus(focusState, tree) {
+  const { element: previousElement, selectionStart, selectionEnd, selectionDirection } = focusState;
+  let element = previousElement;
+
+  if (!element.isConnected) {
+    const name = element.getAttribute('name');
+    const replacement =
+      (element.id && document.getElementById(element.id)) ||
+      (name && tree instanceof Element && tree.querySelector(`[name="${CSS.escape(name)}"]`));
+
+    if (!(replacement instanceof HTMLElement)) return;
+
+    if (
+      editedFields.has(element) &&
+      (element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement) &&
+      replacement instanceof element.constructor &&
+      !replacement.hasAttribute('data-morph-authoritative')
+    ) {
+      /** @type {HTMLInputElement | HTMLTextAreaElement} */ (replacement).value = element.value;
+      editedFields.add(replacement);
+    }
+
+    element = replacement;
   }
 
-  return walk(newTree, oldTree, options);
+  if (element instanceof HTMLElement && document.activeElement !== element) {
+    element.focus({ preventScroll: true });
+  }
+
+  if (
+    selectionStart !== null &&
+    selectionEnd !== null &&
+    (element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement) &&
+    (element.selectionStart !== selectionStart || element.selectionEnd !== selectionEnd)
+  ) {
+    try {
+      element.setSelectionRange(selectionStart, selectionEnd, selectionDirection ?? undefined);
+    } catch (_) {
+      // Not every input type supports a text selection
+    }
+  }
 }
 
 /**
@@ -141,6 +299,11 @@ function walk(newNode, oldNode, options) {
     const newKey = getNodeKey(newNode, options);
     const oldKey = getNodeKey(oldNode, options);
     if (newKey && oldKey && newKey !== oldKey) return newNode;
+
+    // Elements can opt out of diffing: `data-morph-ignore` keeps the current element and its subtree untouched,
+    // `data-morph-replace` swaps it for the new element as a whole
+    if (newNode.hasAttribute('data-morph-ignore')) return oldNode;
+    if (newNode.hasAttribute('data-morph-replace')) return newNode;
   }
 
   // We can morph, update the node and its children
@@ -157,7 +320,7 @@ function walk(newNode, oldNode, options) {
     updateChildren(newNode, oldNode, options);
   }
 
-  options.onAfterUpdate?.(newNode);
+  options.onAfterUpdate?.(oldNode);
 
   return oldNode;
 }
@@ -205,9 +368,16 @@ function updateNode(newNode, oldNode, options) {
   if (newNode instanceof HTMLInputElement && oldNode instanceof HTMLInputElement) {
     updateInput(newNode, oldNode);
   } else if (newNode instanceof HTMLOptionElement && oldNode instanceof HTMLOptionElement) {
-    updateAttribute(newNode, oldNode, 'selected');
+    const select = oldNode.closest('select');
+
+    if (!select || !editedFields.has(select)) {
+      updateAttribute(newNode, oldNode, 'selected');
+    }
+  } else if (newNode instanceof HTMLSelectElement && oldNode instanceof HTMLSelectElement) {
+    // Settles whether the options keep the shopper's selection before they are morphed
+    keepsEdits(newNode, oldNode);
   } else if (newNode instanceof HTMLTextAreaElement && oldNode instanceof HTMLTextAreaElement) {
-    updateTextarea(newNode, oldNode);
+    if (!keepsEdits(newNode, oldNode)) updateTextarea(newNode, oldNode);
   }
 }
 
@@ -305,9 +475,13 @@ function copyAttributes(newNode, oldNode) {
 function updateInput(newNode, oldNode) {
   const newValue = newNode.value;
 
-  updateAttribute(newNode, oldNode, 'checked');
   updateAttribute(newNode, oldNode, 'disabled');
 
+  // Keep what the shopper typed or toggled
+  if (keepsEdits(newNode, oldNode)) return;
+
+  updateAttribute(newNode, oldNode, 'checked');
+
   // Handle indeterminate state (cannot be set via HTML attribute)
   if (newNode.indeterminate !== oldNode.indeterminate) {
     oldNode.indeterminate = newNode.indeterminate;
@@ -373,6 +547,9 @@ function updateChildren(newNode, oldNode, options) {
   let oldChild, newChild, morphed, oldMatch;
   let offset = 0;
 
+  // Keyed old children that are not part of the new children are removed rather than moved around
+  const newKeys = new Set(Array.from(newNode.childNodes, (child) => getNodeKey(child, options)).filter(Boolean));
+
   for (let i = 0; ; i++) {
     oldChild = oldNode.childNodes[i];
     newChild = newNode.childNodes[i - offset];
@@ -412,6 +589,13 @@ function updateChildren(newNode, oldNode, options) {
       continue;
     }
 
+    const oldKey = getNodeKey(oldChild, options);
+    if (oldKey && !newKeys.has(oldKey)) {
+      oldNode.removeChild(oldChild);
+      i--;
+      continue;
+    }
+
     // Try to find a matching node to reorder
     oldMatch = null;
     for (let j = i; j < oldNode.childNodes.length; j++) {
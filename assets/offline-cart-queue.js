@@ -0,0 +1,281 @@
+import { cartStore, CartError } from '@theme/cart-store';
+
+/**
+ * @typedef {Object} QueuedCartAdd
+ * @property {number} [id] - The key of the entry in the database
+ * @property {[string, string][]} [formData] - The entries of the product form
+ * @property {Record<string, any>[]} [items] - The items added together, e.g. the items of a set
+ * @property {string} sourceId - The id of the form the item was added from
+ * @property {string} [productId] - The product id
+ * @property {string} variantId - The variant id
+ * @property {number} createdAt - When the add was queued
+ */
+
+/**
+ * @typedef {Object} QueueChange
+ * @property {'queued' | 'added' | 'rejected'} status - Whether the add was queued, replayed, or rejected by the cart
+ * @property {QueuedCartAdd} entry - The queued add
+ * @property {CartError} [error] - Why the cart rejected the add, e.g. because the variant sold out
+ */
+
+/**
+ * @callback QueueSubscriber
+ * @param {QueueChange} change - The change
+ * @returns {void}
+ */
+
+const DATABASE_NAME = 'theme-cart';
+const STORE_NAME = 'pending-adds';
+
+/**
+ * The add parameters that render sections, which only apply to the page the add was made on.
+ */
+const SECTION_PARAMS = ['sections', 'sections_url'];
+
+/**
+ * The lock that keeps tabs from replaying the same adds.
+ */
+const REPLAY_LOCK = 'theme:offline-cart-queue';
+
+/**
+ * The flag set while adds are queued, so the database is only opened when there is something to replay.
+ */
+const PENDING_STORAGE_KEY = 'theme:offline-cart-pending';
+
+/**
+ * Persists the cart adds that failed for lack of connectivity, and replays them once the browser is back online.
+ *
+ * Adds the cart rejects on replay, e.g. because the variant sold out in the meantime, are dropped and reported to
+ * subscribers with a `rejected` status. Adds that fail with a server error are kept for the next replay.
+ *
+ * The database is opened lazily, on the first offline add or when a previous visit left adds to replay, so pages
+ * don't pay for it when nothing is queued.
+ */
+class OfflineCartQueue {
+  /** @type {Promise<IDBDatabase> | null} */
+  #database = null;
+
+  /** @type {Set<QueueSubscriber>} */
+  #subscribers = new Set();
+
+  /** @type {Promise<void> | null} */
+  #pendingReplay = null;
+
+  constructor() {
+    window.addEventListener('online', () => this.replay());
+
+    // Replay the adds left over from a previous visit
+    if (navigator.onLine && 'indexedDB' in window) this.replay();
+  }
+
+  /**
+   * Persists an add to replay once the browser is back online.
+   * @param {FormData | { items: Record<string, any>[] }} body - The product form data, or the items added together.
+   * @param {{ sourceId: string, productId?: string }} options
+   * @returns {Promise<QueuedCartAdd>} The queued add.
+   */
+  async add(body, { sourceId, productId }) {
+    /** @type {QueuedCartAdd} */
+    const entry =
+      body instanceof FormData
+        ? {
+            formData: [...body].flatMap(([name, value]) =>
+              typeof value === 'string' && !SECTION_PARAMS.includes(name) ? [[name, value]] : []
+            ),
+            sourceId,
+            productId,
+            variantId: String(body.get('id') ?? ''),
+            createdAt: Date.now(),
+          }
+        : { items: body.items, sourceId, productId, variantId: String(body.items[0]?.id ?? ''), createdAt: Date.now() };
+
+    entry.id = Number(await this.#request('readwrite', (store) => store.add(entry)));
+    setPending(true);
+    this.#notify({ status: 'queued', entry });
+
+    return entry;
+  }
+
+  /**
+   * Gets the queued adds, oldest first.
+   * @returns {Promise<QueuedCartAdd[]>}
+   */
+  async getEntries() {
+    if (!hasPending()) return [];
+
+    return /** @type {QueuedCartAdd[]} */ (await this.#request('readonly', (store) => store.getAll()));
+  }
+
+  /**
+   * Subscribes to queue changes.
+   * @param {QueueSubscriber} subscriber - Called whenever an add is queued, replayed, or rejected.
+   * @returns {() => void} Unsubscribes.
+   */
+  subscribe(subscriber) {
+    this.#subscribers.add(subscriber);
+
+    return () => this.#subscribers.delete(subscriber);
+  }
+
+  /**
+   * Adds the queued items to the cart, sharing the replay with concurrent callers.
+   * @returns {Promise<void>}
+   */
+  replay() {
+    if (!navigator.onLine || !hasPending()) return Promise.resolve();
+
+    this.#pendingReplay ??= withLock(() => this.#replay())
+      .catch((error) => console.error(error))
+      .finally(() => {
+        this.#pendingReplay = null;
+      });
+
+    return this.#pendingReplay;
+  }
+
+  async #replay() {
+    // Entries are read inside the lock, so adds replayed by another tab are gone
+    for (const entry of await this.getEntries()) {
+      const formData = new FormData();
+      for (const [name, value] of entry.formData ?? []) formData.append(name, value);
+
+      try {
+        await cartStore.add(entry.items ? { items: entry.items } : formData, {
+          sourceId: entry.sourceId,
+          data: { source: 'offline-cart-queue', productId: entry.productId },
+        });
+        await this.#delete(entry);
+        this.#notify({ status: 'added', entry });
+      } catch (error) {
+        // Still offline or the shop failed to handle the add, so it's kept for the next replay
+        if (!(error instanceof CartError) || !error.isRejection) throw error;
+
+        await this.#delete(entry);
+        this.#notify({ status: 'rejected', entry, error });
+      }
+    }
+
+    // Other tabs may have queued adds during the replay
+    if (!(await this.getEntries()).length) setPending(false);
+  }
+
+  /**
+   * @param {QueuedCartAdd} entry - The entry to delete.
+   */
+  async #delete(entry) {
+    if (entry.id == null) return;
+
+    const { id } = entry;
+
+    await this.#request('readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * @param {QueueChange} change - The change.
+   */
+  #notify(change) {
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(change);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Runs a request against the store of queued adds.
+   * @param {IDBTransactionMode} mode - The transaction mode.
+   * @param {(store: IDBObjectStore) => IDBRequest} callback - Makes the request.
+   * @returns {Promise<unknown>} The request result.
+   */
+  async #request(mode, callback) {
+    const database = await this.#open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+
+      transaction.addEventListener('complete', () => resolve(request.result));
+      transaction.addEventListener('error', () => reject(transaction.error));
+      transaction.addEventListener('abort', () => reject(transaction.error));
+    });
+  }
+
+  /**
+   * Opens the database, creating the store of queued adds on first use.
+   * @returns {Promise<IDBDatabase>}
+   */
+  #open() {
+    this.#database ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, 1);
+
+      request.addEventListener('upgradeneeded', () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      });
+      request.addEventListener('success', () => resolve(request.result));
+      request.addEventListener('error', () => reject(request.error));
+    });
+
+    // Allow another attempt if the database can't be opened, e.g. in private browsing
+    this.#database.catch(() => {
+      this.#database = null;
+    });
+
+    return this.#database;
+  }
+}
+
+/**
+ * Whether adds may be queued. When storage is unavailable, the database is checked anyway.
+ * @returns {boolean}
+ */
+function hasPending() {
+  try {
+    return localStorage.getItem(PENDING_STORAGE_KEY) != null;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * @param {boolean} pending - Whether adds are queued.
+ */
+function setPending(pending) {
+  try {
+    if (pending) {
+      localStorage.setItem(PENDING_STORAGE_KEY, 'true');
+    } else {
+      localStorage.removeItem(PENDING_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage can be unavailable, e.g. in private browsing
+  }
+}
+
+/**
+ * Runs a task holding the replay lock, where the browser supports it.
+ * @param {() => Promise<void>} task - The task.
+ * @returns {Promise<void>}
+ */
+async function withLock(task) {
+  if ('locks' in navigator) {
+    await navigator.locks.request(REPLAY_LOCK, task);
+  } else {
+    await task();
+  }
+}
+
+/**
+ * Whether an error means the request couldn't reach the shop, as opposed to the cart rejecting it.
+ * @param {unknown} error - The error.
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+  if (error instanceof CartError || (error instanceof DOMException && error.name === 'AbortError')) return false;
+
+  // `fetch` rejects with a TypeError on network failure
+  return !navigator.onLine || error instanceof TypeError;
+}
+
+export const offlineCartQueue = new OfflineCartQueue();
@@ -44,8 +44,8 @@ export default class PaginatedList extends Component {
       });
     }
 
-    this.#fetchPage('next');
-    this.#fetchPage('previous');
+    this.#prefetchPage('next');
+    this.#prefetchPage('previous');
     this.#observeViewMore();
 
     // Listen for filter updates to clear cached pages
@@ -118,6 +118,18 @@ export default class PaginatedList extends Component {
     return true;
   }
 
+  /**
+   * Warms the section cache with an adjacent page while the browser is idle
+   * @param {"previous" | "next"} type
+   */
+  #prefetchPage(type) {
+    const page = this.#getPage(type);
+
+    if (!page || !this.#shouldUsePage(page)) return;
+
+    sectionRenderer.prefetch(this.sectionId, page.url, { idle: true });
+  }
+
   /**
    * @param {"previous" | "next"} type
    */
@@ -141,8 +153,14 @@ export default class PaginatedList extends Component {
       return;
     }
 
-    await this.#fetchSpecificPage(page.page, page.url);
-    resolvePromise();
+    try {
+      await this.#fetchSpecificPage(page.page, page.url);
+    } catch (error) {
+      // The page is fetched again the next time it's needed
+      console.error('Paginated list error:', error);
+    } finally {
+      resolvePromise();
+    }
   }
 
   /**
@@ -194,7 +212,7 @@ export default class PaginatedList extends Component {
     history.pushState('', '', nextPage.url.toString());
 
     requestIdleCallback(() => {
-      this.#fetchPage('next');
+      this.#prefetchPage('next');
     });
   }
 
@@ -243,7 +261,7 @@ export default class PaginatedList extends Component {
     }
 
     requestIdleCallback(() => {
-      this.#fetchPage('previous');
+      this.#prefetchPage('previous');
     });
   }
 
@@ -330,8 +348,8 @@ export default class PaginatedList extends Component {
         // Now the DOM has been updated with the new filtered content
         this.#observeViewMore();
 
-        // Fetch the next page
-        this.#fetchPage('next');
+        // Prefetch the next page
+        this.#prefetchPage('next');
       }
     });
 
@@ -1,8 +1,10 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartStore, CartError } from '@theme/cart-store';
+import { offlineCartQueue, isOfflineError } from '@theme/offline-cart-queue';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -15,14 +17,39 @@ const ERROR_BUTTON_REENABLE_DELAY = 1000;
 // Success message display duration for screen readers
 const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
 
+/**
+ * The hidden line item property shared by the items of a set, so the cart can group them.
+ */
+export const BUNDLE_PROPERTY = '_bundle';
+
+/**
+ * @typedef {import('./back-in-stock').BackInStockComponent} BackInStockComponent
+ */
+
+/**
+ * @typedef {object} LineItem
+ * @property {number} id - The variant id.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string>} [properties] - The line item properties.
+ * @property {number} [selling_plan] - The selling plan id.
+ */
+
 /**
  * A custom element that manages an add to cart button.
  *
  * @typedef {object} AddToCartRefs
  * @property {HTMLButtonElement} addToCartButton - The add to cart button.
- * @extends Component<AddToCartRefs>
+ *
+ * @typedef {object} AddToCartProps
+ * @property {boolean} [queued] - Whether an add is waiting for the browser to be back online.
+ *
+ * @extends Component<AddToCartRefs, AddToCartProps>
  */
 export class AddToCartComponent extends Component {
+  static props = {
+    queued: Boolean,
+  };
+
   requiredRefs = ['addToCartButton'];
 
   /** @type {number | undefined} */
@@ -45,6 +72,20 @@ export class AddToCartComponent extends Component {
     this.removeEventListener('pointerenter', this.#preloadImage);
   }
 
+  /**
+   * @param {string} name
+   * @param {unknown} oldValue
+   * @param {unknown} newValue
+   */
+  propChanged(name, oldValue, newValue) {
+    // The queued state replaces the added state
+    if (name === 'queued' && newValue) {
+      if (this.#animationTimeout) clearTimeout(this.#animationTimeout);
+      if (this.#cleanupTimeout) clearTimeout(this.#cleanupTimeout);
+      this.refs.addToCartButton.classList.remove('atc-added');
+    }
+  }
+
   /**
    * Disables the add to cart button.
    */
@@ -151,6 +192,7 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantityLabelCartCount - The quantity label cart count element.
  * @property {HTMLElement | undefined} quantityRules - The quantity rules element.
  * @property {HTMLElement | undefined} productFormButtons - The product form buttons container.
+ * @property {HTMLElement[]} [bundleItems] - The companion products added to the cart along with the product.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -169,8 +211,14 @@ class ProductFormComponent extends Component {
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
 
-    // Listen for cart updates to sync data-cart-quantity
-    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+    // Keep data-cart-quantity in sync with the cart
+    const unsubscribe = cartStore.subscribe(() => this.#updateCartQuantity());
+    signal.addEventListener('abort', unsubscribe);
+
+    const unsubscribeQueue = offlineCartQueue.subscribe(this.#onQueueChange);
+    signal.addEventListener('abort', unsubscribeQueue);
+
+    this.#updateQueuedState();
   }
 
   disconnectedCallback() {
@@ -180,22 +228,17 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Fetches cart and updates quantity selector for current variant
+   * Updates quantity selector for current variant with its quantity in the cart
    * @returns {Promise<number>} The cart quantity for the current variant
    */
-  async #fetchAndUpdateCartQuantity() {
+  async #updateCartQuantity() {
     const variantIdInput = /** @type {HTMLInputElement | null} */ (this.querySelector('input[name="id"]'));
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      await cartStore.load();
 
-      const cartItem = cart.items.find(
-        /** @param {any} item */
-        (item) => item.variant_id.toString() === variantIdInput.value.toString()
-      );
-      const cartQty = cartItem ? cartItem.quantity : 0;
+      const cartQty = cartStore.getQuantity(variantIdInput.value);
 
       // Use public API to update quantity selector
       const quantitySelector = /** @type {any} */ (this.querySelector('quantity-selector-component'));
@@ -213,17 +256,6 @@ class ProductFormComponent extends Component {
     }
   }
 
-  /**
-   * Updates data-cart-quantity when cart is updated from elsewhere
-   * @param {CartUpdateEvent|CartAddEvent} event
-   */
-  #onCartUpdate = async (event) => {
-    // Skip if this event came from this component
-    if (event.detail?.sourceId === this.id || event.detail?.data?.source === 'product-form-component') return;
-
-    await this.#fetchAndUpdateCartQuantity();
-  };
-
   /**
    * Handles the submit event for the product form.
    *
@@ -283,109 +315,228 @@ class ProductFormComponent extends Component {
     }
 
     const formData = new FormData(form);
+    const bundle = this.#getBundle(formData);
+
+    if (bundle.errors.length) {
+      this.#showError(bundle.errors.join(' '));
+      return;
+    }
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
+    // Sets are added in one request, so either every item is added or none is
+    const body = bundle.items.length ? { items: bundle.items } : formData;
+
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
+    document.querySelectorAll('cart-items-component').forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
         cartItemComponentsSectionIds.push(item.dataset.sectionId);
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then((response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
+    cartStore
+      .add(body, {
+        sections: cartItemComponentsSectionIds,
+        sourceId: form.getAttribute('id') || '',
+        target: this,
+        data: {
+          source: 'product-form-component',
+          productId: this.dataset.productId,
+        },
+      })
+      .then(() => {
+        const id = formData.get('id');
 
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+        if (!id) throw new Error('Form ID is required');
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+        // Add aria-live region to inform screen readers that the item was added
+        if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
+          const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
+          const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
+          this.#setLiveRegionText(addedText);
 
-            // Clear the announcement
+          setTimeout(() => {
             this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+          }, SUCCESS_MESSAGE_DISPLAY_DURATION);
+        }
+      })
+      .catch((error) => {
+        if (isOfflineError(error)) {
+          this.#queueAdd(body, form);
+          return;
+        }
 
+        if (!(error instanceof CartError)) {
+          console.error(error);
           return;
-        } else {
-          const id = formData.get('id');
+        }
 
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
+        // The description names the item of a set that couldn't be added
+        this.#showError(body === formData ? error.message : error.description || error.message);
+      })
+      .finally(() => {
+        cartPerformance.measureFromEvent('add:user-action', event);
+      });
+  }
 
-          if (!id) throw new Error('Form ID is required');
+  /**
+   * Reads the items of a set: the product with its required companions and the optional companions that are
+   * selected, sharing a bundle property. The items are empty when the product isn't added as a set.
+   * @param {FormData} formData - The product form data.
+   * @returns {{ items: LineItem[], errors: string[] }} The items, and the errors of the companions that can't be added.
+   */
+  #getBundle(formData) {
+    const { bundleItems = [] } = this.refs;
+    const companions = bundleItems.filter((companion) => {
+      const include = companion.querySelector('[data-bundle-include]');
 
-          // Add aria-live region to inform screen readers that the item was added
-          if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
-            const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
-            const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+      return companion.hasAttribute('data-required') || (include instanceof HTMLInputElement && include.checked);
+    });
 
-            this.#setLiveRegionText(addedText);
+    if (!companions.length) return { items: [], errors: [] };
+
+    const bundleId = `${this.dataset.productId}-${Date.now().toString(36)}`;
+    const product = formDataToLineItem(formData);
+    const items = [{ ...product, properties: { ...product.properties, [BUNDLE_PROPERTY]: bundleId } }];
+    /** @type {string[]} */
+    const errors = [];
+
+    for (const companion of companions) {
+      const variant = companion.querySelector('[data-bundle-variant]');
+      const isSelect = variant instanceof HTMLSelectElement;
+
+      if (
+        !(isSelect || variant instanceof HTMLInputElement) ||
+        !variant.value ||
+        variant.disabled ||
+        (isSelect && variant.selectedOptions[0]?.disabled)
+      ) {
+        const template = this.dataset.bundleItemUnavailable || '';
+        errors.push(template.replace('{{ title }}', companion.dataset.title ?? ''));
+        continue;
+      }
 
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, SUCCESS_MESSAGE_DISPLAY_DURATION);
-          }
+      items.push({
+        id: Number(variant.value),
+        quantity: product.quantity,
+        properties: { [BUNDLE_PROPERTY]: bundleId },
+      });
+    }
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          this.#fetchAndUpdateCartQuantity();
+    return { items, errors };
+  }
 
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
-        }
-      })
-      .catch((error) => {
-        console.error(error);
-      })
-      .finally(() => {
-        cartPerformance.measureFromEvent('add:user-action', event);
+  /**
+   * Shows the price of the variant selected for a companion product.
+   * @param {Event} event - The change event of the companion's variant select.
+   */
+  updateBundleItemPrice(event) {
+    const select = event.target;
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    const price = select.closest('.bundle-item')?.querySelector('[data-bundle-price]');
+    const selectedPrice = select.selectedOptions[0]?.dataset.price;
+
+    if (price && selectedPrice) price.textContent = selectedPrice;
+  }
+
+  /**
+   * Queues an add that failed for lack of connectivity, to be replayed once the browser is back online.
+   * @param {FormData | { items: LineItem[] }} body - The product form data, or the items of a set.
+   * @param {HTMLFormElement} form - The product form.
+   */
+  async #queueAdd(body, form) {
+    try {
+      await offlineCartQueue.add(body, {
+        sourceId: form.getAttribute('id') || '',
+        productId: this.dataset.productId,
       });
+    } catch (error) {
+      // The add can't be kept, e.g. as storage is unavailable in private browsing
+      console.error(error);
+      return;
+    }
+
+    this.#setLiveRegionText(Theme.translations.added_when_online);
+
+    setTimeout(() => {
+      this.#clearLiveRegionText();
+    }, SUCCESS_MESSAGE_DISPLAY_DURATION);
+  }
+
+  /**
+   * Updates the add to cart button for a queued add of this form.
+   * @param {import('@theme/offline-cart-queue').QueueChange} change
+   */
+  #onQueueChange = ({ status, entry, error }) => {
+    const formId = this.querySelector('form')?.getAttribute('id') || '';
+    if (entry.sourceId !== formId) return;
+
+    this.#updateQueuedState();
+
+    if (status === 'added' && entry.variantId === this.refs.variantId.value) {
+      this.refs.addToCartButtonContainer?.animateAddToCart();
+    } else if (status === 'rejected' && error) {
+      this.#showError(error.message);
+    }
+  };
+
+  /**
+   * Shows the queued state on the add to cart button while the current variant has a queued add.
+   */
+  async #updateQueuedState() {
+    const { addToCartButtonContainer, variantId } = this.refs;
+    if (!addToCartButtonContainer) return;
+
+    const formId = this.querySelector('form')?.getAttribute('id') || '';
+
+    try {
+      const entries = await offlineCartQueue.getEntries();
+
+      addToCartButtonContainer.props.queued = entries.some(
+        (entry) => entry.sourceId === formId && entry.variantId === variantId.value
+      );
+    } catch (error) {
+      addToCartButtonContainer.props.queued = false;
+    }
+  }
+
+  /**
+   * Shows an add to cart error message.
+   * @param {string} message - The message.
+   */
+  #showError(message) {
+    const { addToCartTextError } = this.refs;
+    if (!addToCartTextError) return;
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    addToCartTextError.classList.remove('hidden');
+
+    // Reuse the text node if the user is spam-clicking
+    const textNode = addToCartTextError.childNodes[2];
+    if (textNode) {
+      textNode.textContent = message;
+    } else {
+      const newTextNode = document.createTextNode(message);
+      addToCartTextError.appendChild(newTextNode);
+    }
+
+    // Create or get existing error live region for screen readers
+    this.#setLiveRegionText(message);
+
+    this.#timeout = setTimeout(() => {
+      if (!addToCartTextError) return;
+      addToCartTextError.classList.add('hidden');
+
+      // Clear the announcement
+      this.#clearLiveRegionText();
+    }, ERROR_MESSAGE_DISPLAY_DURATION);
   }
 
   /**
@@ -452,6 +603,10 @@ class ProductFormComponent extends Component {
     // Update the variant ID
     variantId.value = event.detail.resource?.id ?? '';
 
+    // Sold out variants get the back in stock form instead of the add to cart button
+    const backInStock = /** @type {BackInStockComponent | null} */ (this.querySelector('back-in-stock-component'));
+    if (backInStock?.setVariant) backInStock.setVariant(event.detail.resource);
+
     if (!currentAddToCartButton && !this.refs.acceleratedCheckoutButtonContainer) return;
 
     // Update the button state
@@ -483,6 +638,9 @@ class ProductFormComponent extends Component {
         addToCartButtonContainer?.setAttribute('data-product-variant-media', productVariantMedia + '&width=100');
     }
 
+    // The quantity rules are rendered by the server, so they wait for the full update
+    if (event.detail.data.partial) return;
+
     // Update quantity selector's min/max/step attributes and cart quantity for the new variant
     const quantitySelector = /** @type {any} */ (this.querySelector('quantity-selector-component'));
     const newQuantityInput = /** @type {HTMLInputElement | null} */ (
@@ -539,8 +697,9 @@ class ProductFormComponent extends Component {
       this.#morphOrUpdateElement(quantityRules, newQuantityRules, addToCartButton);
     }
 
-    // Fetch and update cart quantity for the new variant
-    await this.#fetchAndUpdateCartQuantity();
+    // Update cart quantity and queued state for the new variant
+    this.#updateQueuedState();
+    await this.#updateCartQuantity();
   };
 
   /**
@@ -638,6 +797,31 @@ class FlyToCart extends HTMLElement {
   }
 }
 
+/**
+ * Reads the line item a product form adds to the cart.
+ * @param {FormData} formData - The product form data.
+ * @returns {LineItem} The line item.
+ */
+function formDataToLineItem(formData) {
+  /** @type {LineItem} */
+  const item = { id: Number(formData.get('id')), quantity: Number(formData.get('quantity') || 1) };
+  /** @type {Record<string, string>} */
+  const properties = {};
+
+  for (const [name, value] of formData) {
+    const property = name.match(/^properties\[(.+)\]$/)?.[1];
+
+    if (property && typeof value === 'string') properties[property] = value;
+  }
+
+  const sellingPlan = formData.get('selling_plan');
+
+  if (sellingPlan) item.selling_plan = Number(sellingPlan);
+  if (Object.keys(properties).length) item.properties = properties;
+
+  return item;
+}
+
 /**
  * Calculates a point on a cubic Bézier curve.
  * @param {number} t - The parameter value (0 <= t <= 1).
@@ -1,4 +1,5 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { Component } from '@theme/component';
+import { VariantUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a product price.
@@ -6,25 +7,18 @@ import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
  * It handles price updates from two different sources:
  * 1. Variant picker (in quick add modal or product page)
  * 2. Swatches variant picker (in product cards)
+ *
+ * The events are bound with `on:variant:update.document="/updatePrice"`, and only the ones from its section apply.
  */
-class ProductPrice extends HTMLElement {
-  connectedCallback() {
-    const closestSection = this.closest('.shopify-section, dialog');
-    if (!closestSection) return;
-    closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
-  }
-
-  disconnectedCallback() {
-    const closestSection = this.closest('.shopify-section, dialog');
-    if (!closestSection) return;
-    closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
-  }
-
+class ProductPrice extends Component {
   /**
    * Updates the price.
    * @param {VariantUpdateEvent} event - The variant update event.
    */
-  updatePrice = (event) => {
+  updatePrice(event) {
+    const closestSection = this.closest('.shopify-section, dialog');
+    if (!(event.target instanceof Node) || !closestSection?.contains(event.target)) return;
+
     if (event.detail.data.newProduct) {
       this.dataset.productId = event.detail.data.newProduct.id;
     } else if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) {
@@ -39,7 +33,7 @@ class ProductPrice extends HTMLElement {
     if (currentPrice.innerHTML !== newPrice.innerHTML) {
       currentPrice.replaceWith(newPrice);
     }
-  };
+  }
 }
 
 if (!customElements.get('product-price')) {
@@ -16,9 +16,14 @@ async function hydrateSection(sectionId, url) {
     return;
   }
 
-  await sectionRenderer.renderSection(normalizedId, { cache: false, url });
+  try {
+    const html = await sectionRenderer.renderSection(normalizedId, { cache: false, url });
 
-  section.dataset.hydrated = 'true';
+    // An empty render was superseded by a newer one, which hydrates the section instead
+    if (html) section.dataset.hydrated = 'true';
+  } catch (error) {
+    console.error('Section hydration error:', error);
+  }
 }
 
 /**
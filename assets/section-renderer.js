@@ -1,4 +1,112 @@
 import { morph } from '@theme/morph';
+import { SectionRenderErrorEvent, ThemeEvents } from '@theme/events';
+import { isLowPowerDevice, requestIdleCallback } from '@theme/utilities';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {string[]} [tags] - Tags to invalidate the cached HTML by, on top of the ones detected from the markup
+ * @property {number} [ttl] - How long the cached HTML stays fresh, in milliseconds
+ */
+
+/**
+ * @typedef {Object} FetchOptions
+ * @property {number} [timeout] - How long to wait for a response before aborting the request, in milliseconds
+ * @property {number} [retries] - How many times to retry a rate-limited or unavailable response
+ * @property {AbortSignal} [signal] - Aborts the request and its retries, e.g. when a newer render supersedes it
+ */
+
+/**
+ * @typedef {CacheOptions & FetchOptions} RequestOptions
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} html - The section HTML
+ * @property {string} sectionId - The normalized section ID
+ * @property {Set<string>} tags - The tags of the entry
+ * @property {number} expiresAt - The timestamp after which the entry is stale
+ */
+
+/**
+ * A least-recently-used cache of section HTML with expiring entries
+ */
+class SectionCache {
+  /**
+   * The entries, ordered from least to most recently used
+   * @type {Map<string, CacheEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * @param {Object} options - The options
+   * @param {number} options.maxEntries - The maximum number of entries to keep
+   * @param {number} options.ttl - The default time to live of an entry, in milliseconds
+   */
+  constructor({ maxEntries, ttl }) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Gets the HTML for a section rendering URL, if it is cached and fresh
+   * @param {string} url - The section rendering URL
+   * @returns {string | undefined} The cached HTML
+   */
+  get(url) {
+    const entry = this.#entries.get(url);
+    if (!entry) return undefined;
+
+    this.#entries.delete(url);
+    if (entry.expiresAt <= Date.now()) return undefined;
+
+    // Re-insert the entry to mark it as the most recently used
+    this.#entries.set(url, entry);
+
+    return entry.html;
+  }
+
+  /**
+   * Caches the HTML for a section rendering URL
+   * @param {string} url - The section rendering URL
+   * @param {string} sectionId - The section ID
+   * @param {string} html - The section HTML
+   * @param {CacheOptions} [options] - The cache options
+   */
+  set(url, sectionId, html, options = {}) {
+    const { tags = [], ttl = this.ttl } = options;
+
+    this.#entries.delete(url);
+    this.#entries.set(url, {
+      html,
+      sectionId: normalizeSectionId(sectionId),
+      tags: new Set([...tags, ...getCacheTags(html)]),
+      expiresAt: Date.now() + ttl,
+    });
+
+    for (const key of this.#entries.keys()) {
+      if (this.#entries.size <= this.maxEntries) break;
+      this.#entries.delete(key);
+    }
+  }
+
+  /**
+   * Removes the entries that match a predicate
+   * @param {(entry: CacheEntry) => boolean} predicate - The predicate
+   */
+  deleteWhere(predicate) {
+    for (const [url, entry] of this.#entries) {
+      if (predicate(entry)) this.#entries.delete(url);
+    }
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    this.#entries.clear();
+  }
+}
 
 /**
  * A class to re-render sections using the Section Rendering API
@@ -6,9 +114,9 @@ import { morph } from '@theme/morph';
 class SectionRenderer {
   /**
    * The cache of section HTML
-   * @type {Map<string, string>}
+   * @type {SectionCache}
    */
-  #cache = new Map();
+  #cache = new SectionCache({ maxEntries: CACHE_MAX_ENTRIES, ttl: CACHE_TTL });
 
   /**
    * The abort controllers by section ID
@@ -24,6 +132,9 @@ class SectionRenderer {
 
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+    document.addEventListener(ThemeEvents.cartUpdate, () => this.invalidate('cart'));
+    // Note and discount updates change the cart without a cart update event
+    cartStore.subscribe(() => this.invalidate('cart'));
   }
 
   /**
@@ -32,17 +143,33 @@ class SectionRenderer {
    * @param {Object} [options] - The options
    * @param {boolean} [options.cache] - Whether to use the cache
    * @param {URL} [options.url] - The URL to render the section from
-   * @returns {Promise<string>} The rendered section HTML
+   * @param {string[]} [options.tags] - The cache tags of the rendered section
+   * @param {number} [options.ttl] - How long the rendered section stays cached, in milliseconds
+   * @param {number} [options.timeout] - How long to wait for the response, in milliseconds
+   * @param {number} [options.retries] - How many times to retry a rate-limited or unavailable response
+   * @returns {Promise<string>} The rendered section HTML, or an empty string when a newer render superseded it
    */
   async renderSection(sectionId, options) {
     const { cache = !Shopify.designMode } = options ?? {};
-    const { url } = options ?? {};
+    const { url, tags, ttl, timeout, retries } = options ?? {};
     this.#abortPendingMorph(sectionId);
 
     const abortController = new AbortController();
     this.#abortControllersBySectionId.set(sectionId, abortController);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache, url);
+    const { signal } = abortController;
+    let sectionHTML;
+
+    try {
+      sectionHTML = await this.getSectionHTML(sectionId, cache, url, { tags, ttl, timeout, retries, signal });
+    } catch (error) {
+      if (signal.aborted) return '';
+
+      this.#abortControllersBySectionId.delete(sectionId);
+      this.#dispatchRenderError(sectionId, error);
+
+      throw error;
+    }
 
     if (!abortController.signal.aborted) {
       this.#abortControllersBySectionId.delete(sectionId);
@@ -53,6 +180,103 @@ class SectionRenderer {
     return sectionHTML;
   }
 
+  /**
+   * Renders multiple sections with a single request to the Section Rendering API
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {URL} [options.url] - The URL to render the sections from
+   * @param {string[]} [options.tags] - The cache tags of the rendered sections
+   * @param {number} [options.ttl] - How long the rendered sections stay cached, in milliseconds
+   * @param {number} [options.timeout] - How long to wait for the response, in milliseconds
+   * @param {number} [options.retries] - How many times to retry a rate-limited or unavailable response
+   * @returns {Promise<Record<string, string>>} The rendered section HTML by section ID, without the sections that failed to render
+   */
+  async renderSections(sectionIds, options) {
+    const { cache = !Shopify.designMode } = options ?? {};
+    const { url, tags, ttl, timeout, retries } = options ?? {};
+    const uniqueSectionIds = [...new Set(sectionIds)];
+
+    /** @type {Map<string, AbortController>} */
+    const abortControllers = new Map();
+
+    for (const sectionId of uniqueSectionIds) {
+      this.#abortPendingMorph(sectionId);
+
+      const abortController = new AbortController();
+      this.#abortControllersBySectionId.set(sectionId, abortController);
+      abortControllers.set(sectionId, abortController);
+    }
+
+    const promises = this.#getSectionsHTMLPromises(uniqueSectionIds, cache, url, {
+      tags,
+      ttl,
+      timeout,
+      retries,
+      // The request is only abandoned once newer renders superseded every section
+      signal: allSignalsAborted([...abortControllers.values()].map(({ signal }) => signal)),
+    });
+    const results = await Promise.allSettled(promises.values());
+    const sectionIdsInOrder = [...promises.keys()];
+
+    /** @type {Record<string, string>} */
+    const sectionsHTML = {};
+
+    // Morph every section that is still current in the same frame
+    results.forEach((result, index) => {
+      const sectionId = /** @type {string} */ (sectionIdsInOrder[index]);
+      const abortController = abortControllers.get(sectionId);
+
+      if (result.status === 'fulfilled') sectionsHTML[sectionId] = result.value;
+      if (!abortController || abortController.signal.aborted) return;
+
+      this.#abortControllersBySectionId.delete(sectionId);
+
+      if (result.status === 'rejected') {
+        this.#dispatchRenderError(sectionId, result.reason);
+      } else {
+        morphSection(sectionId, result.value);
+      }
+    });
+
+    return sectionsHTML;
+  }
+
+  /**
+   * Notifies the page that a section failed to render, so components can show a fallback state
+   * @param {string} sectionId - The section ID
+   * @param {unknown} error - The error
+   */
+  #dispatchRenderError(sectionId, error) {
+    const target = document.getElementById(buildSectionSelector(sectionId)) ?? document;
+    const status = error instanceof SectionRenderError ? error.status : null;
+
+    target.dispatchEvent(new SectionRenderErrorEvent(sectionId, error, status));
+  }
+
+  /**
+   * Warms the cache with a section render that is likely to be requested next.
+   * Does nothing when the shopper has asked to save data or the device is low powered.
+   * @param {string} sectionId - The section ID
+   * @param {URL} [url] - The URL to render the section from
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.idle] - Whether to wait until the browser is idle before prefetching
+   */
+  prefetch(sectionId, url = new URL(window.location.href), options) {
+    if (Shopify.designMode || !canPrefetch()) return;
+
+    const prefetchSection = () => {
+      // Prefetching is best effort, failures are surfaced by the render that actually needs the section
+      this.getSectionHTML(sectionId, true, url, { retries: 0 }).catch(() => {});
+    };
+
+    if (options?.idle) {
+      requestIdleCallback(prefetchSection);
+    } else {
+      prefetchSection();
+    }
+  }
+
   /**
    * Aborts an existing morph for a section
    * @param {string} sectionId - The section ID
@@ -69,9 +293,10 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {boolean} useCache - Whether to use the cache
    * @param {URL} url - The URL to render the section for
+   * @param {RequestOptions} [options] - The options to fetch and cache the rendered section with
    * @returns {Promise<string>} The rendered section HTML
    */
-  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
+  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href), options) {
     const sectionUrl = buildSectionRenderingURL(sectionId, url);
 
     let pendingPromise = this.#pendingPromises.get(sectionUrl);
@@ -83,17 +308,142 @@ class SectionRenderer {
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
-      return response.text();
-    });
+    const promise = fetchSectionRendering(sectionUrl, options);
 
-    this.#pendingPromises.set(sectionUrl, pendingPromise);
+    this.#setPendingPromise(sectionUrl, promise, options?.signal);
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
+    try {
+      const sectionHTML = await promise;
 
-    this.#cache.set(sectionUrl, sectionHTML);
-    return sectionHTML;
+      this.#cache.set(sectionUrl, sectionId, sectionHTML, options);
+      return sectionHTML;
+    } finally {
+      this.#deletePendingPromise(sectionUrl, promise);
+    }
+  }
+
+  /**
+   * Shares a pending request with the renders of the same URL, until it settles or is aborted
+   * @param {string} sectionUrl - The section rendering URL
+   * @param {Promise<string>} promise - The pending request
+   * @param {AbortSignal} [signal] - The signal that aborts the request
+   */
+  #setPendingPromise(sectionUrl, promise, signal) {
+    this.#pendingPromises.set(sectionUrl, promise);
+
+    // A render that supersedes this one must not wait on the aborted request
+    signal?.addEventListener('abort', () => this.#deletePendingPromise(sectionUrl, promise), { once: true });
+  }
+
+  /**
+   * @param {string} sectionUrl - The section rendering URL
+   * @param {Promise<string>} promise - The request, only removed if it is still the pending one
+   */
+  #deletePendingPromise(sectionUrl, promise) {
+    if (this.#pendingPromises.get(sectionUrl) === promise) this.#pendingPromises.delete(sectionUrl);
+  }
+
+  /**
+   * Gets the HTML for multiple sections, fetching the ones that are not cached or pending in batched requests
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @param {RequestOptions} [options] - The options to fetch and cache the rendered sections with
+   * @returns {Promise<Record<string, string>>} The rendered section HTML by section ID
+   */
+  async getSectionsHTML(sectionIds, useCache = true, url = new URL(window.location.href), options) {
+    const promises = this.#getSectionsHTMLPromises(sectionIds, useCache, url, options);
+
+    const entries = await Promise.all(
+      [...promises].map(async ([sectionId, promise]) => /** @type {const} */ ([sectionId, await promise]))
+    );
+
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Gets a promise of the HTML of each section, fetching the ones that are not cached or pending in batched requests
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @param {RequestOptions} [options] - The options to fetch and cache the rendered sections with
+   * @returns {Map<string, Promise<string>>} The promises of the rendered section HTML by section ID
+   */
+  #getSectionsHTMLPromises(sectionIds, useCache = true, url = new URL(window.location.href), options) {
+    /** @type {Map<string, Promise<string>>} */
+    const promises = new Map();
+    /** @type {Map<string, string>} */
+    const sectionUrlsToFetch = new Map();
+
+    for (const sectionId of sectionIds) {
+      const sectionUrl = buildSectionRenderingURL(sectionId, new URL(url));
+
+      const pendingPromise = this.#pendingPromises.get(sectionUrl);
+      if (pendingPromise) {
+        promises.set(sectionId, pendingPromise);
+        continue;
+      }
+
+      const cachedHTML = useCache ? this.#cache.get(sectionUrl) : undefined;
+      if (cachedHTML) {
+        promises.set(sectionId, Promise.resolve(cachedHTML));
+        continue;
+      }
+
+      sectionUrlsToFetch.set(sectionId, sectionUrl);
+    }
+
+    const sectionIdsToFetch = [...sectionUrlsToFetch.keys()];
+
+    for (let i = 0; i < sectionIdsToFetch.length; i += MAX_SECTIONS_PER_REQUEST) {
+      const batch = sectionIdsToFetch.slice(i, i + MAX_SECTIONS_PER_REQUEST);
+      const batchPromise = fetchSectionRendering(buildSectionsRenderingURL(batch, url), options).then((text) =>
+        JSON.parse(text)
+      );
+
+      for (const sectionId of batch) {
+        const sectionUrl = /** @type {string} */ (sectionUrlsToFetch.get(sectionId));
+        const pendingPromise = batchPromise
+          .then((/** @type {Record<string, string | null>} */ sections) => {
+            const sectionHTML = sections[normalizeSectionId(sectionId)];
+
+            if (sectionHTML == null) {
+              throw new Error(`Section ${sectionId} not found in the section rendering response`);
+            }
+
+            this.#cache.set(sectionUrl, sectionId, sectionHTML, options);
+            return sectionHTML;
+          })
+          .finally(() => this.#deletePendingPromise(sectionUrl, pendingPromise));
+
+        this.#setPendingPromise(sectionUrl, pendingPromise, options?.signal);
+        promises.set(sectionId, pendingPromise);
+      }
+    }
+
+    return promises;
+  }
+
+  /**
+   * Removes the cached HTML of a section, or of every section
+   * @param {string} [sectionId] - The section ID
+   */
+  clearCache(sectionId) {
+    if (!sectionId) {
+      this.#cache.clear();
+      return;
+    }
+
+    const normalizedSectionId = normalizeSectionId(sectionId);
+    this.#cache.deleteWhere((entry) => entry.sectionId === normalizedSectionId);
+  }
+
+  /**
+   * Removes the cached HTML of every section with a given tag
+   * @param {string} tag - The cache tag, e.g. `cart`
+   */
+  invalidate(tag) {
+    this.#cache.deleteWhere((entry) => entry.tags.has(tag));
   }
 
   /**
@@ -105,13 +455,62 @@ class SectionRenderer {
       if (this.#cache.get(url)) return;
       if (containsShadowRoot(section)) return;
 
-      this.#cache.set(url, section.outerHTML);
+      this.#cache.set(url, section.id, section.outerHTML);
     }
   }
 }
 
 const SECTION_ID_PREFIX = 'shopify-section-';
 
+/**
+ * The maximum number of section renders to keep in the cache
+ */
+const CACHE_MAX_ENTRIES = 50;
+
+/**
+ * How long a cached section render stays fresh, in milliseconds
+ */
+const CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Cache tags applied to any section whose markup matches the pattern
+ * @type {Record<string, RegExp>}
+ */
+const MARKUP_CACHE_TAGS = {
+  cart: /<cart-[a-z-]+[\s>]/,
+};
+
+/**
+ * How long to wait for a section rendering response before aborting the request, in milliseconds
+ */
+const REQUEST_TIMEOUT = 10 * 1000;
+
+/**
+ * How many times to retry a section rendering request that is rate-limited or unavailable
+ */
+const REQUEST_RETRIES = 2;
+
+/**
+ * The base delay between retries, doubled on every attempt, in milliseconds
+ */
+const RETRY_DELAY = 500;
+
+/**
+ * The longest delay between retries, even when the response asks to wait longer, in milliseconds
+ */
+const MAX_RETRY_DELAY = 5 * 1000;
+
+/**
+ * The response statuses worth retrying: rate-limited (429) and temporarily unavailable (503)
+ */
+const RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * The maximum number of sections the Section Rendering API renders in a single request
+ * @see https://shopify.dev/docs/api/ajax/section-rendering#request-multiple-sections
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
 /**
  * Builds a section rendering URL
  * @param {string} sectionId - The section ID
@@ -125,6 +524,145 @@ function buildSectionRenderingURL(sectionId, url = new URL(window.location.href)
   return url.toString();
 }
 
+/**
+ * Fetches a section rendering URL, retrying rate-limited and unavailable responses with backoff
+ * @param {string} url - The section rendering URL
+ * @param {FetchOptions} [options] - The fetch options
+ * @returns {Promise<string>} The response text
+ * @throws {SectionRenderError} When the response is not successful or the request times out
+ */
+async function fetchSectionRendering(url, options = {}) {
+  const { timeout = REQUEST_TIMEOUT, retries = REQUEST_RETRIES, signal } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    const timeoutSignal = AbortSignal.timeout(timeout);
+
+    /** @type {Response} */
+    let response;
+
+    try {
+      response = await fetch(url, { signal: signal ? anySignalAborted([signal, timeoutSignal]) : timeoutSignal });
+
+      if (response.ok) return await response.text();
+    } catch (error) {
+      if (timeoutSignal.aborted && !signal?.aborted) {
+        throw new SectionRenderError(url, null, `timed out after ${timeout}ms`);
+      }
+
+      throw error;
+    }
+
+    if (attempt >= retries || !RETRYABLE_STATUSES.includes(response.status)) {
+      throw new SectionRenderError(url, response.status);
+    }
+
+    await wait(getRetryDelay(response, attempt), signal);
+  }
+}
+
+/**
+ * Waits before retrying a request
+ * @param {number} delay - The delay in milliseconds
+ * @param {AbortSignal} [signal] - Stops waiting, rejecting with the abort reason
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+
+    function onAbort() {
+      clearTimeout(timeoutId);
+      reject(signal?.reason);
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Combines abort signals into one that aborts once every signal aborted
+ * @param {AbortSignal[]} signals - The signals
+ * @returns {AbortSignal} The combined signal
+ */
+function allSignalsAborted(signals) {
+  const abortController = new AbortController();
+  const abortIfAll = () => {
+    if (signals.every((signal) => signal.aborted)) abortController.abort();
+  };
+
+  for (const signal of signals) signal.addEventListener('abort', abortIfAll, { once: true });
+
+  return abortController.signal;
+}
+
+/**
+ * Combines signals into one that aborts as soon as any of them aborts, like `AbortSignal.any`, which older Safari
+ * versions don't support
+ * @param {AbortSignal[]} signals - The signals
+ * @returns {AbortSignal} The combined signal
+ */
+function anySignalAborted(signals) {
+  const abortController = new AbortController();
+  const abort = () => abortController.abort();
+
+  for (const signal of signals) {
+    if (signal.aborted) {
+      abort();
+      break;
+    }
+
+    signal.addEventListener('abort', abort, { once: true, signal: abortController.signal });
+  }
+
+  return abortController.signal;
+}
+
+/**
+ * Gets the delay before retrying a request, honoring the `Retry-After` header when present, up to a maximum
+ * @param {Response} response - The response to retry
+ * @param {number} attempt - The zero-based attempt that failed
+ * @returns {number} The delay in milliseconds
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = Number.parseInt(response.headers.get('Retry-After') ?? '', 10);
+
+  const delay = Number.isNaN(retryAfter) ? RETRY_DELAY * 2 ** attempt : retryAfter * 1000;
+
+  return Math.min(Math.max(delay, 0), MAX_RETRY_DELAY);
+}
+
+/**
+ * Checks if sections should be prefetched, based on the shopper's data saving preference and device capabilities
+ * @returns {boolean} Whether sections should be prefetched
+ */
+function canPrefetch() {
+  const { connection } = navigator;
+
+  if (connection?.saveData || connection?.effectiveType?.endsWith('2g')) return false;
+
+  return !isLowPowerDevice();
+}
+
+/**
+ * Builds a section rendering URL for multiple sections
+ * @param {string[]} sectionIds - The section IDs
+ * @param {URL} url - The URL to render the sections for
+ * @returns {string} The section rendering URL
+ */
+function buildSectionsRenderingURL(sectionIds, url = new URL(window.location.href)) {
+  const sectionsUrl = new URL(url);
+  sectionsUrl.searchParams.delete('section_id');
+  sectionsUrl.searchParams.set('sections', sectionIds.map(normalizeSectionId).join(','));
+  sectionsUrl.searchParams.sort();
+
+  return sectionsUrl.toString();
+}
+
 /**
  * Builds a section selector
  * @param {string} sectionId - The section ID
@@ -143,6 +681,17 @@ export function normalizeSectionId(sectionId) {
   return sectionId.replace(new RegExp(`^${SECTION_ID_PREFIX}`), '');
 }
 
+/**
+ * Gets the cache tags that apply to a section based on its markup
+ * @param {string} html - The section HTML
+ * @returns {string[]} The cache tags
+ */
+function getCacheTags(html) {
+  return Object.entries(MARKUP_CACHE_TAGS)
+    .filter(([, pattern]) => pattern.test(html))
+    .map(([tag]) => tag);
+}
+
 /**
  * Checks if an element contains a shadow root
  * @param {Element} element - The element to check
@@ -178,4 +727,20 @@ export async function morphSection(sectionId, html) {
   morph(existingElement, newElement);
 }
 
+/**
+ * Thrown when a section rendering request fails or times out
+ */
+export class SectionRenderError extends Error {
+  /**
+   * @param {string} url - The section rendering URL
+   * @param {number | null} status - The response status, or null when no response was received
+   * @param {string} [reason] - Why the request failed
+   */
+  constructor(url, status, reason = `responded with status ${status}`) {
+    super(`Section rendering request to ${url} ${reason}`);
+    this.url = url;
+    this.status = status;
+  }
+}
+
 export const sectionRenderer = new SectionRenderer();
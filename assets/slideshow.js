@@ -29,34 +29,50 @@ const SLIDE_VISIBLITY_THRESHOLD = 0.7;
  * @property {HTMLButtonElement} [previous]
  * @property {HTMLButtonElement} [next]
  *
- * @extends {Component<Refs>}
+ * @typedef {Object} Props
+ * @property {number} [autoplay] - The time interval in seconds between slides, when playing automatically.
+ * @property {boolean} infinite - Whether the slideshow loops.
+ * @property {number} initialSlide - The index of the slide shown first.
+ *
+ * @extends {Component<Refs, Props>}
  */
 export class Slideshow extends Component {
-  static get observedAttributes() {
-    return ['initial-slide'];
-  }
+  static props = {
+    autoplay: Number,
+    infinite: Boolean,
+    initialSlide: { type: Number, default: 0 },
+  };
 
   /**
    * @param {string} name
-   * @param {string} oldValue
-   * @param {string} newValue
+   * @param {import('@theme/component').PropValue} oldValue
+   * @param {import('@theme/component').PropValue} newValue
    */
-  attributeChangedCallback(name, oldValue, newValue) {
+  propChanged(name, oldValue, newValue) {
     // Collection page filtering will Morph slideshow galleries in place, updating
     // the slideshow[initial-slide] and slideshow-slide[hidden] attributes.
     // We need to re-select() the slide after the morph is complete, but not before
     // slideshow-slide elements have their [hidden] attribute updated.
-    if (name === 'initial-slide' && oldValue !== newValue) {
+    if (name === 'initialSlide') {
       queueMicrotask(() => {
         // Only select if the component is connected and initialized
         if (!this.isConnected || !this.#scroll || !this.refs.slides) return;
-        const index = parseInt(newValue, 10) || 0;
-        const slide_id = this.refs.slides[index]?.getAttribute('slide-id');
+        const slide_id = this.refs.slides[Number(newValue)]?.getAttribute('slide-id');
         if (slide_id) {
           this.select({ id: slide_id }, undefined, { animate: false });
         }
       });
     }
+
+    if (name === 'autoplay' && this.#scroll && !this.paused) {
+      this.suspend();
+      this.resume();
+    }
+
+    if (name === 'infinite') {
+      // Update the previous and next buttons
+      this.current = this.#current;
+    }
   }
 
   requiredRefs = ['scroller'];
@@ -103,7 +119,7 @@ export class Slideshow extends Component {
   }
 
   get initialSlide() {
-    return this.refs.slides?.[this.initialSlideIndex];
+    return this.refs.slides?.[this.props.initialSlide];
   }
 
   /**
@@ -155,7 +171,7 @@ export class Slideshow extends Component {
     const requestedSlideElement = slides?.[requestedIndex];
     if (currentSlide === requestedSlideElement) return;
 
-    if (!this.infinite) requestedIndex = clamp(requestedIndex, 0, slides.length - 1);
+    if (!this.props.infinite) requestedIndex = clamp(requestedIndex, 0, slides.length - 1);
 
     event?.preventDefault();
 
@@ -314,12 +330,9 @@ export class Slideshow extends Component {
   }
 
   get autoplayInterval() {
-    const interval = this.getAttribute('autoplay');
-    const value = parseInt(`${interval}`, 10);
-
-    if (Number.isNaN(value)) return undefined;
+    const { autoplay } = this.props;
 
-    return value * 1000;
+    return autoplay ? autoplay * 1000 : undefined;
   }
 
   /**
@@ -347,12 +360,8 @@ export class Slideshow extends Component {
       controls?.forEach((el, i) => el.setAttribute('aria-selected', `${i === value}`));
     }
 
-    if (previous) previous.disabled = Boolean(!this.infinite && value === 0);
-    if (next) next.disabled = Boolean(!this.infinite && slides && this.nextIndex >= slides.length);
-  }
-
-  get infinite() {
-    return this.getAttribute('infinite') != null;
+    if (previous) previous.disabled = Boolean(!this.props.infinite && value === 0);
+    if (next) next.disabled = Boolean(!this.props.infinite && slides && this.nextIndex >= slides.length);
   }
 
   get visibleSlides() {
@@ -468,7 +477,7 @@ export class Slideshow extends Component {
 
     this.resume();
 
-    this.current = this.initialSlideIndex;
+    this.current = this.props.initialSlide;
 
     // Batch reads and writes to the DOM
     scheduler.schedule(() => {
@@ -478,7 +487,7 @@ export class Slideshow extends Component {
       // Wait for next frame to ensure layout is fully calculated before setting initial scroll position
       // This prevents race conditions on Safari mobile when section_width is 'full-width'
       requestAnimationFrame(() => {
-        if (this.initialSlideIndex !== 0 && initialSlideId) {
+        if (this.props.initialSlide !== 0 && initialSlideId) {
           this.select({ id: initialSlideId }, undefined, { animate: false });
           visibleSlidesAmount = 1;
         } else {
@@ -724,17 +733,6 @@ export class Slideshow extends Component {
     return this.refs.slides?.filter((slide) => !slide.hasAttribute('hidden') || slide.hasAttribute('reveal'));
   }
 
-  /**
-   * The initial slide index.
-   * @type {number}
-   */
-  get initialSlideIndex() {
-    const initialSlide = this.getAttribute('initial-slide');
-    if (initialSlide == null) return 0;
-
-    return parseInt(initialSlide, 10);
-  }
-
   /**
    * Pause the slideshow when the page is hidden.
    */
@@ -1,11 +1,28 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
-import { requestYieldCallback, getViewParameterValue } from '@theme/utilities';
+import { sectionRenderer } from '@theme/section-renderer';
+import { requestYieldCallback, getViewParameterValue, formatCents } from '@theme/utilities';
 
 /**
  * @typedef {object} VariantPickerRefs
  * @property {HTMLFieldSetElement[]} fieldsets – The fieldset elements.
+ * @property {HTMLElement} [availability] - The explanation shown when the selected variant can't be bought.
+ * @property {HTMLElement} [availabilityMessage] - The message of the explanation.
+ * @property {HTMLElement} [availabilitySuggestions] - The nearest available variants to switch to.
+ */
+
+/**
+ * @typedef {object} Variant
+ * @property {string} id - The variant id.
+ * @property {string[]} options - The names of the option values of the variant, in option order.
+ * @property {boolean} available - Whether the variant is available.
+ * @property {boolean} inventory_management - Whether the variant has inventory management.
+ * @property {number} price - The price in cents.
+ * @property {number | null} compare_at_price - The compare at price in cents.
+ * @property {number} [unit_price] - The unit price in cents.
+ * @property {string | null} sku - The SKU.
+ * @property {{ id: string, preview_image: { src: string } } | null} featured_media - The featured media.
  */
 
 /**
@@ -42,6 +59,79 @@ export default class VariantPicker extends Component {
     });
 
     this.addEventListener('change', this.variantChanged.bind(this));
+    this.addEventListener('pointerenter', this.#prefetchOption, { capture: true });
+    this.addEventListener('focusin', this.#prefetchOption);
+
+    this.#markCombinations();
+    this.#renderAvailability(this.#findVariant());
+
+    if (this.#syncsHistory) {
+      // Record the selection of the entry the page was loaded with, so navigating back to it restores the selection
+      history.replaceState({ ...history.state, variantOptionValues: this.selectedOptionsValues }, '');
+      window.addEventListener('popstate', this.#handlePopState);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#handlePopState);
+  }
+
+  afterMorph() {
+    this.#markCombinations();
+  }
+
+  /**
+   * Warms the section cache with the variant an option would select, so choosing it doesn't wait on the network. The
+   * adjacent options of the same fieldset are preloaded once the browser is idle, as they're likely chosen next.
+   * @param {Event} event - The pointerenter or focusin event.
+   */
+  #prefetchOption = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const input = event.target.closest('label')?.querySelector('input') ?? event.target;
+
+    if (!(input instanceof HTMLInputElement) || input.checked || !input.dataset.optionValueId) return;
+
+    const fieldset = input.closest('fieldset');
+    const inputs = Array.from(fieldset?.querySelectorAll('input[data-option-value-id]') ?? [input]);
+    const index = inputs.indexOf(input);
+
+    for (const option of [input, inputs[index - 1], inputs[index + 1]]) {
+      if (!(option instanceof HTMLInputElement) || option.checked) continue;
+
+      this.#prefetchVariant(option, fieldset, { idle: option !== input });
+    }
+  };
+
+  /**
+   * Warms the section cache with the variant an option would select.
+   * @param {HTMLInputElement} input - The option.
+   * @param {HTMLFieldSetElement | null} fieldset - The fieldset of the option.
+   * @param {{ idle: boolean }} options - Whether to wait until the browser is idle.
+   */
+  #prefetchVariant(input, fieldset, { idle }) {
+    const productUrl = this.dataset.productUrl?.split('?')[0];
+    const { connectedProductUrl } = input.dataset;
+
+    // Options of other products (combined listings) are rendered from their own product page
+    if (!productUrl || (connectedProductUrl && connectedProductUrl !== productUrl)) return;
+
+    const optionValues = Array.from(
+      this.querySelectorAll('select option[selected], fieldset input:checked'),
+      (option) => (option.closest('fieldset') === fieldset ? input : option).getAttribute('data-option-value-id')
+    );
+
+    const url = new URL(productUrl, window.location.origin);
+    const viewParamValue = getViewParameterValue();
+
+    if (viewParamValue) url.searchParams.set('view', viewParamValue);
+    url.searchParams.set('option_values', optionValues.join(','));
+
+    const sectionId = this.#rendersProductCard ? PRODUCT_CARD_SECTION_ID : this.dataset.sectionId;
+
+    if (sectionId && !variantResponseCache.has(url, sectionId)) sectionRenderer.prefetch(sectionId, url, { idle });
   }
 
   /**
@@ -57,12 +147,19 @@ export default class VariantPicker extends Component {
     if (!selectedOption) return;
 
     this.updateSelectedOption(event.target);
+    this.#renderSelection(selectedOption, { pushHistory: true });
+  }
+
+  /**
+   * Renders the variant of the selected options and, on the product page, keeps the URL in sync with it.
+   * @param {HTMLElement} selectedOption - The option that changed the selection.
+   * @param {{ pushHistory: boolean }} options - Whether to add a history entry for the selection. Selections restored
+   * from the history keep their entry.
+   */
+  #renderSelection(selectedOption, { pushHistory }) {
     this.dispatchEvent(new VariantSelectedEvent({ id: selectedOption.dataset.optionValueId ?? '' }));
 
-    const isOnProductPage =
-      this.dataset.templateProductMatch === 'true' &&
-      !event.target.closest('product-card') &&
-      !event.target.closest('quick-add-dialog');
+    const isOnProductPage = this.#syncsHistory;
 
     // Morph the entire main content for combined listings child products, because changing the product
     // might also change other sections depending on recommendations, metafields, etc.
@@ -70,18 +167,32 @@ export default class VariantPicker extends Component {
     const newUrl = selectedOption.dataset.connectedProductUrl;
     const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
 
+    /** @type {Variant | null | undefined} */
+    let variant;
+
+    // Options of this product resolve to a variant without waiting on the server, which still renders the media,
+    // inventory and option availability
+    if (!newUrl || newUrl === currentUrl) {
+      variant = this.#findVariant();
+      if (variant !== undefined) this.#dispatchPartialUpdate(variant);
+    }
+
+    this.#markCombinations();
+    this.#renderAvailability(variant, selectedOption);
+
     this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), loadsNewProduct);
 
+    if (!isOnProductPage || !pushHistory) return;
+
     const url = new URL(window.location.href);
 
-    const variantId = selectedOption.dataset.variantId || null;
+    // The variant of an option was rendered along with the options selected back then, which may have changed since
+    const variantId = variant === undefined ? selectedOption.dataset.variantId : variant?.id;
 
-    if (isOnProductPage) {
-      if (variantId) {
-        url.searchParams.set('variant', variantId);
-      } else {
-        url.searchParams.delete('variant');
-      }
+    if (variantId) {
+      url.searchParams.set('variant', String(variantId));
+    } else {
+      url.searchParams.delete('variant');
     }
 
     // Change the path if the option is connected to another product via combined listing.
@@ -89,11 +200,101 @@ export default class VariantPicker extends Component {
       url.pathname = newUrl;
     }
 
-    if (url.href !== window.location.href) {
-      requestYieldCallback(() => {
-        history.replaceState({}, '', url.toString());
-      });
+    const state = { variantOptionValues: this.selectedOptionsValues };
+
+    requestYieldCallback(() => {
+      if (url.href === window.location.href) {
+        history.replaceState(state, '', url.toString());
+      } else {
+        history.pushState(state, '', url.toString());
+      }
+    });
+  }
+
+  /**
+   * Restores the selection of the history entry navigated to with the back and forward buttons.
+   * @param {PopStateEvent} event - The popstate event.
+   */
+  #handlePopState = (event) => {
+    const optionValues = event.state?.variantOptionValues;
+    if (!Array.isArray(optionValues)) return;
+
+    const options = optionValues.map((optionValueId) =>
+      this.querySelector(`[data-option-value-id="${CSS.escape(String(optionValueId))}"]`)
+    );
+    const selectedOption = this.#selectOptions(
+      options.filter((option) => option instanceof HTMLInputElement || option instanceof HTMLOptionElement)
+    );
+
+    if (selectedOption) this.#renderSelection(selectedOption, { pushHistory: false });
+  };
+
+  /**
+   * Selects several options at once, e.g. to restore a selection.
+   * @param {(HTMLInputElement | HTMLOptionElement)[]} options - The options to select.
+   * @returns {HTMLInputElement | HTMLOptionElement | undefined} The option the selection should be rendered for, or
+   * `undefined` when the options were already selected.
+   */
+  #selectOptions(options) {
+    const changedOptions = options.filter((option) => !isSelectedOption(option));
+
+    for (const option of changedOptions) {
+      const select = option instanceof HTMLOptionElement ? option.closest('select') : null;
+
+      if (select) {
+        select.value = option.value;
+        this.updateSelectedOption(select);
+      } else {
+        this.updateSelectedOption(option);
+      }
     }
+
+    // An option of another product (combined listing) has to be the one rendered, so that product is loaded
+    const currentUrl = this.dataset.productUrl?.split('?')[0];
+
+    return (
+      changedOptions.find(({ dataset }) => dataset.connectedProductUrl && dataset.connectedProductUrl !== currentUrl) ??
+      changedOptions[changedOptions.length - 1]
+    );
+  }
+
+  /**
+   * Whether the variant picker is the one of the product page, which keeps the URL and history in sync with the
+   * selected variant.
+   * @returns {boolean}
+   */
+  get #syncsHistory() {
+    return (
+      this.dataset.templateProductMatch === 'true' && !this.closest('product-card') && !this.closest('quick-add-dialog')
+    );
+  }
+
+  /**
+   * Sets the variant rendered by the server in the URL, when it differs from the one resolved in the browser.
+   * @param {{ id?: number } | null} variant - The variant rendered by the server.
+   */
+  #syncVariantParameter(variant) {
+    if (!this.#syncsHistory) return;
+
+    const optionValues = this.selectedOptionsValues.join(',');
+
+    requestYieldCallback(() => {
+      // The customer may have navigated to another entry in the meantime
+      if (history.state?.variantOptionValues?.join(',') !== optionValues) return;
+
+      const url = new URL(window.location.href);
+      const variantId = variant?.id ? String(variant.id) : null;
+
+      if (url.searchParams.get('variant') === variantId) return;
+
+      if (variantId) {
+        url.searchParams.set('variant', variantId);
+      } else {
+        url.searchParams.delete('variant');
+      }
+
+      history.replaceState(history.state, '', url.toString());
+    });
   }
 
   /**
@@ -174,6 +375,204 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /** @type {{ source: Element, variants: Variant[] } | undefined} */
+  #variantsCache;
+
+  /**
+   * Gets the variants of the product embedded in the picker, parsed again only when the picker is rendered again.
+   * @returns {Variant[] | undefined}
+   */
+  get #variants() {
+    const source = this.querySelector('script[type="application/json"][data-variants]');
+    if (!source?.textContent) return undefined;
+
+    if (this.#variantsCache?.source !== source) {
+      this.#variantsCache = { source, variants: JSON.parse(source.textContent) };
+    }
+
+    return this.#variantsCache.variants;
+  }
+
+  /**
+   * Finds the variant of the selected options in the embedded variants.
+   * @returns {Variant | null | undefined} The variant, `null` when no variant has the selected options, or
+   * `undefined` when the variants aren't embedded.
+   */
+  #findVariant() {
+    const variants = this.#variants;
+    if (!variants) return undefined;
+
+    const selectedValues = Array.from(
+      this.querySelectorAll('select option[selected], fieldset input:checked'),
+      (option) => /** @type {HTMLInputElement | HTMLOptionElement} */ (option).value
+    );
+
+    return (
+      variants.find((variant) => variant.options.every((value, index) => value === selectedValues[index])) ?? null
+    );
+  }
+
+  /**
+   * Dispatches a variant update with the parts rendered in the browser, ahead of the one rendered by the server.
+   * @param {Variant | null} variant - The selected variant.
+   */
+  #dispatchPartialUpdate(variant) {
+    const { selectedOptionId } = this;
+    if (!selectedOptionId) return;
+
+    const html = document.implementation.createHTMLDocument();
+    const priceContainer = variant && this.#renderPrice(variant);
+
+    if (priceContainer) {
+      const productPrice = html.createElement('product-price');
+      productPrice.append(priceContainer);
+      html.body.append(productPrice);
+    }
+
+    this.dispatchEvent(
+      // The event takes `null` when no variant has the selected options, like the variant rendered by the server
+      new VariantUpdateEvent(/** @type {any} */ (variant), selectedOptionId, {
+        html,
+        productId: this.dataset.productId ?? '',
+        partial: true,
+      })
+    );
+  }
+
+  /**
+   * Renders the price of a variant by updating the amounts of the current price. Prices whose markup changes, such
+   * as a variant going on sale, are left to the server.
+   * @param {Variant} variant - The variant.
+   * @returns {Element | null} The price container, or `null` when the server needs to render it.
+   */
+  #renderPrice(variant) {
+    const source = this.querySelector('script[type="application/json"][data-variants]');
+    const currentPrice = this.closest('.shopify-section, dialog')?.querySelector(
+      `product-price[data-product-id="${this.dataset.productId}"] [ref="priceContainer"]`
+    );
+    if (!(source instanceof HTMLElement) || !currentPrice) return null;
+
+    const priceContainer = /** @type {Element} */ (currentPrice.cloneNode(true));
+    const price = priceContainer.querySelector('.price');
+    const compareAtPrice = priceContainer.querySelector('.compare-at-price');
+    const onSale = (variant.compare_at_price ?? 0) > variant.price;
+    const hasUnitPrice = !!priceContainer.querySelector('.unit-price') || !!variant.unit_price;
+
+    if (!price || !!compareAtPrice !== onSale || hasUnitPrice) return null;
+
+    const { moneyFormat = '', currency = '' } = source.dataset;
+
+    price.textContent = formatCents(variant.price, moneyFormat, currency);
+    if (compareAtPrice) compareAtPrice.textContent = formatCents(variant.compare_at_price ?? 0, moneyFormat, currency);
+
+    return priceContainer;
+  }
+
+  /**
+   * Gets the option values of each option, in option order.
+   * @returns {(HTMLInputElement | HTMLOptionElement)[][]}
+   */
+  get #optionElements() {
+    return Array.from(this.querySelectorAll('fieldset, select'), (element) =>
+      Array.from(
+        element.querySelectorAll('input[data-option-value-id], option[data-option-value-id]'),
+        (option) => /** @type {HTMLInputElement | HTMLOptionElement} */ (option)
+      )
+    );
+  }
+
+  /**
+   * Marks the option values that don't make a variant with the selected values of the other options.
+   */
+  #markCombinations() {
+    const variants = this.#variants;
+    if (!variants) return;
+
+    const optionElements = this.#optionElements;
+    const selectedValues = optionElements.map((options) => options.find(isSelectedOption)?.value);
+
+    optionElements.forEach((options, index) => {
+      for (const option of options) {
+        const combination = [...selectedValues];
+        combination[index] = option.value;
+
+        const exists = variants.some((variant) => variant.options.every((value, i) => value === combination[i]));
+        option.dataset.optionExists = String(exists);
+      }
+    });
+  }
+
+  /**
+   * Explains why the selected variant can't be bought, with the nearest available variants to switch to.
+   * @param {Variant | null | undefined} variant - The selected variant, `null` when no variant has the selected
+   * options, or `undefined` when the variants aren't embedded.
+   * @param {Element} [selectedOption] - The option that changed the selection.
+   */
+  #renderAvailability(variant, selectedOption) {
+    const availability = /** @type {HTMLElement | undefined} */ (this.refs.availability);
+    const availabilityMessage = /** @type {HTMLElement | undefined} */ (this.refs.availabilityMessage);
+    const availabilitySuggestions = /** @type {HTMLElement | undefined} */ (this.refs.availabilitySuggestions);
+    if (!availability || !availabilityMessage || !availabilitySuggestions) return;
+
+    const variants = this.#variants;
+    const optionElements = this.#optionElements;
+
+    if (!variants || variant === undefined || variant?.available || optionElements.length < 2) {
+      availability.hidden = true;
+      return;
+    }
+
+    const selectedValues = optionElements.map((options) => options.find(isSelectedOption)?.value ?? '');
+    const optionValues = optionElements.map((options) => options.map((option) => option.value));
+
+    // The values of the other options explain why the option the customer picked isn't available
+    const pickedIndex = optionElements.findIndex((options) => options.some((option) => option === selectedOption));
+    const otherValues = selectedValues.filter((_, index) => index !== pickedIndex);
+    const { unavailableMessage = '', soldOutMessage = '', suggestionLabel = '' } = availability.dataset;
+
+    availabilityMessage.textContent = (variant ? soldOutMessage : unavailableMessage).replace(
+      '{{ options }}',
+      otherValues.join(', ')
+    );
+
+    const suggestions = findNearestVariants(variants, optionValues, selectedValues, pickedIndex).map((suggestion) => {
+      const changedValues = suggestion.options.filter((value, index) => value !== selectedValues[index]);
+      const button = document.createElement('button');
+
+      button.type = 'button';
+      button.className = 'button-unstyled variant-picker__suggestion';
+      button.textContent = suggestionLabel.replace('{{ options }}', changedValues.join(', '));
+      button.dataset.optionValues = JSON.stringify(suggestion.options);
+      button.setAttribute('on:click', '/selectSuggestion');
+
+      return button;
+    });
+
+    availabilitySuggestions.replaceChildren(...suggestions);
+    availability.hidden = false;
+  }
+
+  /**
+   * Selects the options of a suggested variant.
+   * @param {Event} event - The click event, targeting the suggestion.
+   */
+  selectSuggestion(event) {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    /** @type {string[]} */
+    const values = JSON.parse(event.target.dataset.optionValues ?? '[]');
+    const options = this.#optionElements.map((options, index) => options.find(({ value }) => value === values[index]));
+    const selectedOption = this.#selectOptions(options.filter((option) => option !== undefined));
+
+    if (!selectedOption) return;
+
+    this.#renderSelection(selectedOption, { pushHistory: true });
+
+    // The suggestions are hidden once the variant is available, so keep the focus on the option that changed
+    const focusTarget = selectedOption instanceof HTMLOptionElement ? selectedOption.closest('select') : selectedOption;
+    focusTarget?.focus();
+  }
+
   /**
    * Builds the request URL.
    * @param {HTMLElement} selectedOption - The selected option.
@@ -203,17 +602,45 @@ export default class VariantPicker extends Component {
     }
 
     // If variant-picker is a child of quick-add-component or swatches-variant-picker-component, we need to append section_id=section-rendering-product-card to the URL
-    if (this.closest('quick-add-component') || this.closest('swatches-variant-picker-component')) {
+    if (this.#rendersProductCard) {
       if (productUrl?.includes('?')) {
         productUrl = productUrl.split('?')[0];
       }
-      return `${productUrl}?section_id=section-rendering-product-card&${params.join('&')}`;
+      return `${productUrl}?section_id=${PRODUCT_CARD_SECTION_ID}&${params.join('&')}`;
     }
     return `${productUrl}?${params.join('&')}`;
   }
 
   /**
-   * Fetches the updated section.
+   * Whether the variant picker is rendered from the product card section, in a quick add modal or a product card.
+   * @returns {boolean}
+   */
+  get #rendersProductCard() {
+    return !!(this.closest('quick-add-component') || this.closest('swatches-variant-picker-component'));
+  }
+
+  /**
+   * Fetches the HTML for a request URL. The main content is fetched as a full page, everything else goes
+   * through the section renderer so prefetched variants are served from its cache.
+   * @param {string} requestUrl - The request URL.
+   * @param {boolean} shouldMorphMain - If the entire main content is needed.
+   * @param {AbortSignal} signal - The signal to abort the full page request.
+   * @returns {Promise<string>} The response text.
+   */
+  #fetchHTML(requestUrl, shouldMorphMain, signal) {
+    const url = new URL(requestUrl, window.location.origin);
+    const sectionId = url.searchParams.get('section_id') ?? this.dataset.sectionId;
+
+    if (shouldMorphMain || !sectionId) {
+      return fetch(requestUrl, { signal }).then((response) => response.text());
+    }
+
+    return sectionRenderer.getSectionHTML(sectionId, !Shopify.designMode, url);
+  }
+
+  /**
+   * Fetches the updated section. Section renders are served from the variant response cache when the options were
+   * already viewed, in this picker or any other picker of the product.
    * @param {string} requestUrl - The request URL.
    * @param {boolean} shouldMorphMain - If the entire main content should be morphed. By default, only the variant picker is morphed.
    */
@@ -221,18 +648,38 @@ export default class VariantPicker extends Component {
     // We use this to abort the previous fetch request if it's still pending.
     this.#abortController?.abort();
     this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    const url = new URL(requestUrl, window.location.origin);
+    const sectionId = url.searchParams.get('section_id') ?? this.dataset.sectionId ?? '';
+    const cachedHtml = shouldMorphMain ? undefined : variantResponseCache.get(url, sectionId);
+
+    /** @type {Promise<Document>} */
+    const htmlPromise = cachedHtml
+      ? Promise.resolve(cachedHtml)
+      : this.#fetchHTML(requestUrl, shouldMorphMain, signal).then((responseText) => {
+          const html = new DOMParser().parseFromString(responseText, 'text/html');
+          // Defer is only useful for the initial rendering of the page. Remove it here.
+          html.querySelector('overflow-list[defer]')?.removeAttribute('defer');
+
+          if (!shouldMorphMain && !Shopify.designMode) variantResponseCache.set(url, sectionId, html);
+
+          // Listeners move nodes out of the document, so they get a copy of the cached one
+          return /** @type {Document} */ (html.cloneNode(true));
+        });
+
+    htmlPromise
+      .then((html) => {
+        // Section renders can't be aborted, so ignore the ones a newer request superseded
+        if (signal.aborted) return;
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
-      .then((responseText) => {
         this.#pendingRequestUrl = undefined;
-        const html = new DOMParser().parseFromString(responseText, 'text/html');
-        // Defer is only useful for the initial rendering of the page. Remove it here.
-        html.querySelector('overflow-list[defer]')?.removeAttribute('defer');
 
         const textContent = html.querySelector(`variant-picker script[type="application/json"]`)?.textContent;
         if (!textContent) return;
 
+        this.#syncVariantParameter(JSON.parse(textContent));
+
         if (shouldMorphMain) {
           this.updateMain(html);
         } else {
@@ -361,6 +808,161 @@ export default class VariantPicker extends Component {
   }
 }
 
+/**
+ * The section used to render product cards and quick add modals.
+ */
+const PRODUCT_CARD_SECTION_ID = 'section-rendering-product-card';
+
+/**
+ * The most available variants suggested when the selected variant can't be bought.
+ */
+const AVAILABILITY_SUGGESTIONS_LIMIT = 3;
+
+/**
+ * Whether an option value is selected.
+ * @param {HTMLInputElement | HTMLOptionElement} option - The option value.
+ * @returns {boolean}
+ */
+function isSelectedOption(option) {
+  return option instanceof HTMLInputElement ? option.checked : option.hasAttribute('selected');
+}
+
+/**
+ * Finds the available variants nearest to the selected options. Variants that change fewer options come first,
+ * preferring the ones that keep the option the customer picked, then the ones with the closest values, e.g. the next
+ * ring size.
+ * @param {Variant[]} variants - The variants of the product.
+ * @param {string[][]} optionValues - The values of each option, in option order.
+ * @param {string[]} selectedValues - The selected value of each option.
+ * @param {number} pickedIndex - The index of the option the customer picked, or -1.
+ * @returns {Variant[]} The nearest available variants.
+ */
+function findNearestVariants(variants, optionValues, selectedValues, pickedIndex) {
+  /** @param {Variant} variant */
+  const getDistance = (variant) =>
+    variant.options.reduce((distance, value, index) => {
+      if (value === selectedValues[index]) return distance;
+
+      const values = optionValues[index] ?? [];
+      const steps = Math.abs(values.indexOf(value) - values.indexOf(selectedValues[index] ?? ''));
+
+      return distance + (index === pickedIndex ? optionValues.length : 1) + steps / (values.length + 1);
+    }, 0);
+
+  return variants
+    .filter((variant) => variant.available)
+    .map((variant) => ({ variant, distance: getDistance(variant) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, AVAILABILITY_SUGGESTIONS_LIMIT)
+    .map(({ variant }) => variant);
+}
+
+/**
+ * The most products to keep variant responses of, and the most responses to keep per product.
+ */
+const VARIANT_CACHE_MAX_PRODUCTS = 10;
+const VARIANT_CACHE_MAX_RESPONSES = 12;
+
+/**
+ * How long a cached variant response stays fresh, in milliseconds.
+ */
+const VARIANT_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * A least-recently-used cache of parsed variant responses, by product and then by section and selected option values.
+ *
+ * It is shared by every variant picker, so the pickers of product cards, quick add modals and product pages reuse the
+ * responses of the options viewed in any of them. Entries are dropped when the cart changes, as the responses render
+ * the inventory and cart quantity of the variant.
+ */
+class VariantResponseCache {
+  /**
+   * The responses by product URL, both ordered from least to most recently used.
+   * @type {Map<string, Map<string, { html: Document, expiresAt: number }>>}
+   */
+  #products = new Map();
+
+  constructor() {
+    document.addEventListener(ThemeEvents.cartUpdate, () => this.#products.clear());
+  }
+
+  /**
+   * Whether a fresh response is cached.
+   * @param {URL} url - The URL the section is rendered from.
+   * @param {string} sectionId - The section ID.
+   * @returns {boolean}
+   */
+  has(url, sectionId) {
+    const entry = this.#products.get(url.pathname)?.get(getVariantCacheKey(url, sectionId));
+
+    return !!entry && entry.expiresAt > Date.now();
+  }
+
+  /**
+   * Gets a copy of a cached response, if it is fresh.
+   * @param {URL} url - The URL the section is rendered from.
+   * @param {string} sectionId - The section ID.
+   * @returns {Document | undefined}
+   */
+  get(url, sectionId) {
+    const responses = this.#products.get(url.pathname);
+    const key = getVariantCacheKey(url, sectionId);
+    const entry = responses?.get(key);
+    if (!responses || !entry) return undefined;
+
+    responses.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+
+    // Re-insert the product and the response to mark them as the most recently used
+    responses.set(key, entry);
+    this.#products.delete(url.pathname);
+    this.#products.set(url.pathname, responses);
+
+    return /** @type {Document} */ (entry.html.cloneNode(true));
+  }
+
+  /**
+   * Caches a response.
+   * @param {URL} url - The URL the section is rendered from.
+   * @param {string} sectionId - The section ID.
+   * @param {Document} html - The parsed response, which must not be handed to listeners.
+   */
+  set(url, sectionId, html) {
+    const responses = this.#products.get(url.pathname) ?? new Map();
+    const key = getVariantCacheKey(url, sectionId);
+
+    responses.delete(key);
+    responses.set(key, { html, expiresAt: Date.now() + VARIANT_CACHE_TTL });
+    this.#products.delete(url.pathname);
+    this.#products.set(url.pathname, responses);
+
+    for (const oldestKey of responses.keys()) {
+      if (responses.size <= VARIANT_CACHE_MAX_RESPONSES) break;
+      responses.delete(oldestKey);
+    }
+
+    for (const oldestProduct of this.#products.keys()) {
+      if (this.#products.size <= VARIANT_CACHE_MAX_PRODUCTS) break;
+      this.#products.delete(oldestProduct);
+    }
+  }
+}
+
+/**
+ * Gets the key of a variant response within the responses of its product.
+ * @param {URL} url - The URL the section is rendered from.
+ * @param {string} sectionId - The section ID.
+ * @returns {string}
+ */
+function getVariantCacheKey(url, sectionId) {
+  const { searchParams } = url;
+  const options = searchParams.get('option_values') ?? `variant=${searchParams.get('variant') ?? ''}`;
+
+  return [sectionId, searchParams.get('view') ?? '', options].join('|');
+}
+
+const variantResponseCache = new VariantResponseCache();
+
 if (!customElements.get('variant-picker')) {
   customElements.define('variant-picker', VariantPicker);
 }
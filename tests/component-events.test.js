@@ -0,0 +1,85 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Component } from '@theme/component';
+
+class EventsTestComponent extends Component {
+  /** @type {string[]} */
+  calls = [];
+
+  /**
+   * @param {Event} event - The event.
+   */
+  record(event) {
+    this.calls.push(`${event.type}:${/** @type {Element} */ (event.target).id}`);
+  }
+}
+
+customElements.define('events-test-component', EventsTestComponent);
+
+/**
+ * @returns {EventsTestComponent} The component, attached to the document
+ */
+function mount() {
+  document.body.innerHTML = '<events-test-component><p id="static" on:test:static="/record"></p></events-test-component>';
+
+  return /** @type {EventsTestComponent} */ (document.body.firstElementChild);
+}
+
+describe('declarative event bindings', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('handles the events declared in the markup of a component', () => {
+    const component = mount();
+
+    component.querySelector('#static')?.dispatchEvent(new Event('test:static', { bubbles: true }));
+
+    assert.deepEqual(component.calls, ['test:static:static']);
+  });
+
+  it('handles new event types declared by elements inserted with innerHTML', async () => {
+    const component = mount();
+
+    component.innerHTML = '<p id="inner" on:test:inner="/record"></p>';
+    await Promise.resolve();
+
+    component.querySelector('#inner')?.dispatchEvent(new Event('test:inner', { bubbles: true }));
+
+    assert.deepEqual(component.calls, ['test:inner:inner']);
+  });
+
+  it('handles events declared by elements inserted right before the event is dispatched', () => {
+    const component = mount();
+    const button = document.createElement('button');
+
+    button.id = 'adjacent';
+    button.setAttribute('on:click', '/record');
+    component.insertAdjacentElement('afterbegin', button);
+    button.click();
+
+    assert.deepEqual(component.calls, ['click:adjacent']);
+  });
+
+  it('handles events declared by attributes added to existing elements for event types in use', () => {
+    const component = mount();
+    const paragraph = component.querySelector('#static');
+
+    paragraph?.setAttribute('on:click', '/record');
+    paragraph?.dispatchEvent(new Event('click', { bubbles: true }));
+
+    assert.deepEqual(component.calls, ['click:static']);
+  });
+
+  it('handles new event types declared by the component itself after a morph', () => {
+    const component = mount();
+
+    component.id = 'component';
+    component.setAttribute('on:test:morphed', '/record');
+    component.updatedCallback();
+
+    component.dispatchEvent(new Event('test:morphed', { bubbles: true }));
+
+    assert.deepEqual(component.calls, ['test:morphed:component']);
+  });
+});
@@ -0,0 +1,150 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { morph } from '@theme/morph';
+import { toggle, type } from './setup/dom.js';
+
+/**
+ * @param {string} name - The name of the fixture in tests/fixtures
+ * @returns {string} The markup of the fixture
+ */
+function fixture(name) {
+  return readFileSync(new URL(`fixtures/${name}.html`, import.meta.url), 'utf8').trim();
+}
+
+/**
+ * @param {string} html - The markup of the tree
+ * @returns {HTMLElement} The tree, attached to the document
+ */
+function mount(html) {
+  document.body.innerHTML = html;
+
+  return /** @type {HTMLElement} */ (document.body.firstElementChild);
+}
+
+/**
+ * @template {Element} T
+ * @param {Element} tree - The tree to look in
+ * @param {string} selector - The selector of the field
+ * @returns {T} The field
+ */
+function field(tree, selector) {
+  const element = tree.querySelector(selector);
+
+  assert.ok(element, `${selector} is missing`);
+
+  return /** @type {T} */ (element);
+}
+
+describe('morph with fields the shopper edited', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('keeps the gift card recipient message, its focus and selection', () => {
+    const html = fixture('gift-card-recipient-message');
+    const tree = mount(html);
+    const message = field(tree, 'textarea[name="properties[Message]"]');
+
+    type(message, 'Happy birthday!');
+    message.setSelectionRange(6, 14, 'backward');
+
+    morph(tree, html);
+
+    assert.equal(field(tree, 'textarea[name="properties[Message]"]'), message);
+    assert.equal(message.value, 'Happy birthday!');
+    assert.equal(document.activeElement, message);
+    assert.equal(message.selectionStart, 6);
+    assert.equal(message.selectionEnd, 14);
+    assert.equal(message.selectionDirection, 'backward');
+  });
+
+  it('keeps the product custom property text, its focus and selection', () => {
+    const html = fixture('product-custom-property');
+    const tree = mount(html);
+    const input = field(tree, 'input[name="properties[Engraving]"]');
+
+    type(input, 'For Sam');
+    input.setSelectionRange(4, 7);
+
+    morph(tree, html);
+
+    assert.equal(input.value, 'For Sam');
+    assert.equal(document.activeElement, input);
+    assert.equal(input.selectionStart, 4);
+    assert.equal(input.selectionEnd, 7);
+  });
+
+  it('keeps the checked state of a product custom property checkbox', () => {
+    const html = fixture('product-custom-property');
+    const tree = mount(html);
+    const checkbox = field(tree, 'input[name="properties[Gift wrap]"]');
+
+    toggle(checkbox);
+
+    morph(tree, html);
+
+    assert.equal(checkbox.checked, true);
+  });
+
+  it('keeps the cart note, its focus and selection', () => {
+    const html = fixture('cart-note');
+    const tree = mount(html);
+    const note = field(tree, 'textarea[name="note"]');
+
+    type(note, 'Leave at the door');
+    note.setSelectionRange(17, 17);
+
+    morph(tree, html);
+
+    assert.equal(note.value, 'Leave at the door');
+    assert.equal(document.activeElement, note);
+    assert.equal(note.selectionStart, 17);
+    assert.equal(note.selectionEnd, 17);
+  });
+
+  it('lets the markup win over the cart note when it is marked as authoritative', () => {
+    const tree = mount(fixture('cart-note'));
+    const note = field(tree, 'textarea[name="note"]');
+
+    type(note, 'Leave at the door');
+
+    morph(tree, fixture('cart-note').replace('></textarea>', ' data-morph-authoritative>Ring twice</textarea>'));
+
+    assert.equal(note.value, 'Ring twice');
+    assert.equal(document.activeElement, note);
+  });
+
+  it('lets the markup win over the product custom properties when they are marked as authoritative', () => {
+    const tree = mount(fixture('product-custom-property'));
+    const input = field(tree, 'input[name="properties[Engraving]"]');
+    const checkbox = field(tree, 'input[name="properties[Gift wrap]"]');
+
+    type(input, 'For Sam');
+    toggle(checkbox);
+
+    morph(
+      tree,
+      fixture('product-custom-property')
+        .replace('type="text"', 'type="text" value="For Alex" data-morph-authoritative')
+        .replace('type="checkbox"', 'type="checkbox" data-morph-authoritative')
+    );
+
+    assert.equal(input.value, 'For Alex');
+    assert.equal(checkbox.checked, false);
+  });
+
+  it('takes the markup again once it caught up with the edit', () => {
+    const tree = mount(fixture('gift-card-recipient-message'));
+    const message = field(tree, 'textarea[name="properties[Message]"]');
+    const render = (/** @type {string} */ value) =>
+      fixture('gift-card-recipient-message').replace('></textarea>', `>${value}</textarea>`);
+
+    type(message, 'Happy birthday!');
+
+    morph(tree, render('Happy birthday!'));
+    morph(tree, render('Congratulations!'));
+
+    assert.equal(message.value, 'Congratulations!');
+  });
+});
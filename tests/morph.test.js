@@ -0,0 +1,118 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { morph } from '@theme/morph';
+
+/**
+ * Renders a list of keyed items
+ * @param {string[]} keys - The keys of the items, in order
+ * @returns {string} The markup of the list
+ */
+function list(keys) {
+  return `<ul>${keys.map((key) => `<li key="${key}"><input name="${key}" value="${key}"></li>`).join('')}</ul>`;
+}
+
+/**
+ * @param {string} html - The markup of the tree
+ * @returns {HTMLElement} The tree, attached to the document
+ */
+function mount(html) {
+  document.body.innerHTML = html;
+
+  return /** @type {HTMLElement} */ (document.body.firstElementChild);
+}
+
+/**
+ * @param {Element} tree - The list
+ * @returns {string[]} The keys of the items, in order
+ */
+function keysOf(tree) {
+  return Array.from(tree.children, (child) => child.getAttribute('key') ?? '');
+}
+
+describe('morph with keyed children', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('moves keyed children instead of recreating them when they are reordered', () => {
+    const tree = mount(list(['a', 'b', 'c', 'd']));
+    const [a, b, c, d] = Array.from(tree.children);
+
+    morph(tree, list(['d', 'b', 'a', 'c']));
+
+    assert.deepEqual(keysOf(tree), ['d', 'b', 'a', 'c']);
+    assert.deepEqual(Array.from(tree.children), [d, b, a, c]);
+  });
+
+  it('keeps the focus and text selection on a keyed child that moves', () => {
+    const tree = mount(list(['a', 'b', 'c']));
+    const input = /** @type {HTMLInputElement} */ (tree.querySelector('[name="c"]'));
+
+    input.focus();
+    input.setSelectionRange(0, 1);
+
+    morph(tree, list(['c', 'a', 'b']));
+
+    assert.equal(tree.querySelector('[name="c"]'), input);
+    assert.equal(document.activeElement, input);
+    assert.equal(input.selectionStart, 0);
+    assert.equal(input.selectionEnd, 1);
+  });
+
+  it('inserts new keyed children without replacing the existing ones', () => {
+    const tree = mount(list(['a', 'c']));
+    const [a, c] = Array.from(tree.children);
+
+    morph(tree, list(['new-first', 'a', 'b', 'c', 'new-last']));
+
+    assert.deepEqual(keysOf(tree), ['new-first', 'a', 'b', 'c', 'new-last']);
+    assert.equal(tree.children[1], a);
+    assert.equal(tree.children[3], c);
+  });
+
+  it('removes keyed children that are gone without replacing the ones that stay', () => {
+    const tree = mount(list(['a', 'b', 'c', 'd']));
+    const [a, , c] = Array.from(tree.children);
+
+    morph(tree, list(['a', 'c']));
+
+    assert.deepEqual(keysOf(tree), ['a', 'c']);
+    assert.deepEqual(Array.from(tree.children), [a, c]);
+  });
+
+  it('keeps the focus on a keyed child when its siblings are removed and inserted around it', () => {
+    const tree = mount(list(['a', 'b', 'c']));
+    const input = /** @type {HTMLInputElement} */ (tree.querySelector('[name="b"]'));
+
+    input.focus();
+
+    morph(tree, list(['x', 'b', 'y']));
+
+    assert.deepEqual(keysOf(tree), ['x', 'b', 'y']);
+    assert.equal(tree.children[1].querySelector('input'), input);
+    assert.equal(document.activeElement, input);
+  });
+
+  it('morphs elements whose variant id changed instead of replacing them', () => {
+    const render = (/** @type {string} */ variantId) =>
+      `<div><quantity-selector-component data-variant-id="${variantId}"></quantity-selector-component></div>`;
+    const tree = mount(render('1'));
+    const selector = tree.firstElementChild;
+
+    morph(tree, render('2'));
+
+    assert.equal(tree.firstElementChild, selector);
+    assert.equal(selector?.getAttribute('data-variant-id'), '2');
+  });
+
+  it('keys the items of lists that opt in by the attributes they name', () => {
+    const render = (/** @type {string[]} */ ids) =>
+      `<ul data-morph-key="data-product-id">${ids.map((id) => `<li data-product-id="${id}">${id}</li>`).join('')}</ul>`;
+    const tree = mount(render(['1', '2', '3']));
+    const [first, second, third] = Array.from(tree.children);
+
+    morph(tree, render(['3', '1', '2']));
+
+    assert.deepEqual(Array.from(tree.children), [third, first, second]);
+  });
+});
@@ -0,0 +1,96 @@
+import { JSDOM } from 'jsdom';
+import implementation from 'jsdom/lib/generated/idl/utils.js';
+
+const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+  url: 'https://example.myshopify.com/',
+  pretendToBeVisual: true,
+});
+
+const { window } = dom;
+
+// Stand in for the browser APIs jsdom doesn't implement
+window.matchMedia ??= (query) => ({
+  matches: false,
+  media: query,
+  addEventListener() {},
+  removeEventListener() {},
+});
+window.CSS ??= { escape: (value) => value.replace(/["\\]/g, '\\$&') };
+window.requestIdleCallback ??= (callback) => setTimeout(() => callback({ didTimeout: false, timeRemaining: () => 0 }));
+window.cancelIdleCallback ??= (id) => clearTimeout(id);
+window.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+window.IntersectionObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  takeRecords() {
+    return [];
+  }
+};
+window.Shopify ??= { designMode: false };
+
+// The settings snippets/scripts.liquid renders for the theme's modules
+window.Theme = {
+  placeholders: { general: [], product: [] },
+  translations: {},
+  routes: {
+    cart_add_url: '/cart/add.js',
+    cart_change_url: '/cart/change',
+    cart_clear_url: '/cart/clear',
+    cart_update_url: '/cart/update',
+    cart_url: '/cart',
+    predictive_search_url: '/search/suggest',
+    search_url: '/search',
+  },
+  template: { name: 'product' },
+};
+
+// Events have to come from the window to be dispatched on its nodes, so node's own are replaced
+const OVERRIDDEN_GLOBALS = ['Event', 'EventTarget', 'CustomEvent'];
+
+// Expose the browser globals the theme's modules expect, without overriding the ones node already has
+for (const key of Object.getOwnPropertyNames(window)) {
+  if (key in globalThis && !OVERRIDDEN_GLOBALS.includes(key)) continue;
+
+  Object.defineProperty(globalThis, key, {
+    configurable: true,
+    get: () => window[key],
+  });
+}
+
+/**
+ * Dispatches an event as if the shopper triggered it. jsdom marks every event dispatched from scripts as untrusted, so
+ * the event is dispatched through its internals instead.
+ * @param {EventTarget} target - The target of the event
+ * @param {string} type - The type of the event
+ */
+export function dispatchTrusted(target, type) {
+  const event = new window.Event(type, { bubbles: true });
+
+  implementation.implForWrapper(event).isTrusted = true;
+  implementation.implForWrapper(target)._dispatch(implementation.implForWrapper(event));
+}
+
+/**
+ * Types in a text field the way the shopper does: focuses it, updates its value and fires a trusted input event
+ * @param {HTMLInputElement | HTMLTextAreaElement} field - The text field
+ * @param {string} value - The value typed in
+ */
+export function type(field, value) {
+  field.focus();
+  field.value = value;
+  dispatchTrusted(field, 'input');
+}
+
+/**
+ * Toggles a checkbox the way the shopper does: updates its checked state and fires a trusted change event
+ * @param {HTMLInputElement} field - The checkbox
+ */
+export function toggle(field) {
+  field.checked = !field.checked;
+  dispatchTrusted(field, 'change');
+}
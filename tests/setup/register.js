@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+import './dom.js';
+
+register('./theme-resolver.js', import.meta.url);
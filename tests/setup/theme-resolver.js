@@ -0,0 +1,28 @@
+import { readFileSync } from 'node:fs';
+
+const root = new URL('../../', import.meta.url);
+
+/**
+ * The `@theme/*` modules of the import map the theme renders in snippets/scripts.liquid, by asset file name
+ * @type {Map<string, string>}
+ */
+const importMap = new Map(
+  Array.from(
+    readFileSync(new URL('snippets/scripts.liquid', root), 'utf8').matchAll(
+      /"(@theme\/[\w-]+)":\s*"\{\{\s*'([\w.-]+)'\s*\|\s*asset_url\s*\}\}"/g
+    ),
+    ([, specifier, asset]) => [specifier, asset]
+  )
+);
+
+/**
+ * Resolves the `@theme/*` specifiers to the files in assets/, the way the import map does in the browser
+ * @type {import('node:module').ResolveHook}
+ */
+export async function resolve(specifier, context, nextResolve) {
+  const asset = importMap.get(specifier);
+
+  if (asset) return { url: new URL(`assets/${asset}`, root).href, shortCircuit: true };
+
+  return nextResolve(specifier, context);
+}